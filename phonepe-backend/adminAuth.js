@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Admin authentication.
+ *
+ * Two ways in:
+ *  - Browser: username + scrypt-hashed password from config, then an
+ *    HMAC-signed session cookie (stateless, expires after `sessionTtlMs`).
+ *  - API: `Authorization: Bearer <ADMIN_API_TOKEN>`.
+ *
+ * Cookie-authenticated form posts must carry a CSRF token derived from the
+ * session; bearer requests don't need one.
+ *
+ * Generate a password hash with: node adminAuth.js hash-password <password>
+ */
+
+const SESSION_COOKIE = 'admin_session';
+
+const log = logger.child({ component: 'admin' });
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compares secrets of any length without leaking timing
+function safeEqual(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+}
+
+function createAdminAuth({ username, passwordHash, apiToken, sessionSecret, secureCookies = false, sessionTtlMs = 8 * 60 * 60 * 1000 }) {
+    if (!sessionSecret) {
+        sessionSecret = crypto.randomBytes(32).toString('hex');
+        log.warn('ADMIN_SESSION_SECRET not set, admin sessions will not survive a restart');
+    }
+
+    const enabled = Boolean((username && passwordHash) || apiToken);
+
+    function sign(value) {
+        return crypto.createHmac('sha256', sessionSecret).update(value).digest('base64url');
+    }
+
+    function createSession(user) {
+        const payload = Buffer.from(JSON.stringify({ u: user, exp: Date.now() + sessionTtlMs })).toString('base64url');
+        return `${payload}.${sign(payload)}`;
+    }
+
+    function readSession(req) {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (!token) return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return session.exp > Date.now() ? { username: session.u, token } : null;
+    }
+
+    function csrfToken(session) {
+        return sign(`csrf:${session.token}`);
+    }
+
+    /**
+     * Checks a username/password pair. Returns a session cookie value, or null.
+     */
+    function login(user, password) {
+        if (!username || !passwordHash) return null;
+
+        // Always run scrypt so a wrong username takes as long as a wrong password
+        const passwordOk = verifyPassword(password, passwordHash);
+        return safeEqual(user, username) && passwordOk ? createSession(username) : null;
+    }
+
+    function setSessionCookie(res, value) {
+        res.cookie(SESSION_COOKIE, value, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: secureCookies,
+            path: '/',
+            maxAge: sessionTtlMs
+        });
+    }
+
+    function clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+    }
+
+    /**
+     * The admin ({ username, via, csrfToken }) behind a request, or null. Never
+     * rejects, so public routes can show admins more; CSRF is checked by requireAdmin.
+     */
+    function identify(req) {
+        if (!enabled) return null;
+
+        const authorization = req.get('Authorization') || '';
+        if (apiToken && authorization.startsWith('Bearer ') && safeEqual(authorization.slice(7), apiToken)) {
+            return { username: 'api-token', via: 'token' };
+        }
+
+        const session = readSession(req);
+        return session ? { username: session.username, via: 'session', csrfToken: csrfToken(session) } : null;
+    }
+
+    /**
+     * Express middleware. Sets req.admin = { username, via, csrfToken } or rejects:
+     * browsers are sent to the login page, API clients get 401 JSON.
+     */
+    function requireAdmin(req, res, next) {
+        if (!enabled) {
+            return res.status(503).json({ success: false, message: 'Admin access is not configured.' });
+        }
+
+        req.admin = identify(req);
+        if (req.admin) {
+            if (req.admin.via === 'session' && req.method !== 'GET' && req.method !== 'HEAD'
+                && !safeEqual(req.body?._csrf || req.get('X-CSRF-Token') || '', req.admin.csrfToken)) {
+                return res.status(403).json({ success: false, message: 'Invalid CSRF token.' });
+            }
+            return next();
+        }
+
+        if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+            return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+        res.status(401).json({ success: false, message: 'Authentication required.' });
+    }
+
+    return {
+        enabled,
+        login,
+        setSessionCookie,
+        clearSessionCookie,
+        identify,
+        requireAdmin
+    };
+}
+
+module.exports = { createAdminAuth, hashPassword, verifyPassword, safeEqual };
+
+if (require.main === module) {
+    const [command, password] = process.argv.slice(2);
+
+    if (command !== 'hash-password' || !password) {
+        console.error('Usage: node adminAuth.js hash-password <password>');
+        process.exit(1);
+    }
+    console.log(hashPassword(password));
+}
@@ -0,0 +1,500 @@
+const express = require('express');
+const { getAttempts, isPaid } = require('./paymentAttempts');
+const { ORDER_STATES, ADMIN_STATES, SOURCES, canTransition, transition, getHistory } = require('./orderLifecycle');
+const { logger } = require('./logger');
+const { escapeHtml } = require('./templates');
+
+/**
+ * Admin area: login, order list with filters and pagination, order detail
+ * with raw gateway responses, and order actions. Mounted under /admin.
+ *
+ * Every value that reaches the HTML goes through escapeHtml.
+ */
+
+const PAGE_SIZE = 25;
+
+const log = logger.child({ component: 'admin' });
+
+function formatPaise(paise) {
+    return typeof paise === 'number' ? `₹${(paise / 100).toFixed(2)}` : 'N/A';
+}
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) : 'N/A';
+}
+
+function orderUrl(orderId) {
+    return `/admin/orders/${encodeURIComponent(orderId)}`;
+}
+
+// Dates in the filter form are IST calendar days
+function toRangeStart(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? new Date(`${date}T00:00:00.000+05:30`).toISOString() : undefined;
+}
+
+function toRangeEnd(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? new Date(`${date}T23:59:59.999+05:30`).toISOString() : undefined;
+}
+
+// --- VIEWS ---
+
+function layout(title, body, admin) {
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${escapeHtml(title)}</title>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 20px; background: #f5f5f5; }
+            h1 { color: #1a1a1a; }
+            a { color: #0288d1; }
+            table { width: 100%; border-collapse: collapse; margin: 20px 0; background: white; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+            th, td { border: 1px solid #ddd; padding: 10px; text-align: left; vertical-align: top; }
+            th { background-color: #0288d1; color: white; font-weight: 600; }
+            .paid, .fulfilled, .shipped, .delivered, .sent { color: green; font-weight: bold; }
+            .pending, .payment_pending, .created { color: orange; font-weight: bold; }
+            .failed { color: red; font-weight: bold; }
+            .refunded, .partially_refunded, .expired, .cancelled, .skipped { color: #6c757d; font-weight: bold; }
+            .btn { background: #0288d1; color: white; padding: 8px 16px; border: none; border-radius: 5px; cursor: pointer; font-weight: 600; text-decoration: none; display: inline-block; }
+            .btn:hover { background: #026aa7; }
+            .btn-secondary { background: #6c757d; }
+            .card { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin: 20px 0; }
+            .filters input, .filters select { padding: 6px; margin-right: 8px; }
+            .notice { background: #e6f4ea; border: 1px solid #a5d6a7; padding: 10px; border-radius: 5px; }
+            .error-box { background: #fdecea; border: 1px solid #f5c6cb; padding: 10px; border-radius: 5px; }
+            pre { background: #272822; color: #f8f8f2; padding: 12px; border-radius: 5px; overflow-x: auto; font-size: 12px; }
+            .topbar { display: flex; justify-content: space-between; align-items: center; }
+          </style>
+        </head>
+        <body>
+          ${admin ? `
+          <div class="topbar">
+            <a href="/admin/orders">📊 Orders</a>
+            <form method="POST" action="/admin/logout" style="margin: 0;">
+              <span>Signed in as ${escapeHtml(admin.username)}</span>
+              <button class="btn btn-secondary" type="submit">Log out</button>
+            </form>
+          </div>` : ''}
+          ${body}
+        </body>
+        </html>
+    `;
+}
+
+function statusCell(status) {
+    const value = status || 'PENDING';
+    return `<span class="${escapeHtml(value.toLowerCase())}">${escapeHtml(value)}</span>`;
+}
+
+function renderLoginPage(next, error) {
+    return layout('Admin Login', `
+        <div class="card" style="max-width: 360px; margin: 80px auto;">
+          <h1>🔐 Admin Login</h1>
+          ${error ? `<p class="error-box">${escapeHtml(error)}</p>` : ''}
+          <form method="POST" action="/admin/login">
+            <input type="hidden" name="next" value="${escapeHtml(next)}">
+            <p><label>Username<br><input name="username" autocomplete="username" required></label></p>
+            <p><label>Password<br><input name="password" type="password" autocomplete="current-password" required></label></p>
+            <button class="btn" type="submit">Sign in</button>
+          </form>
+        </div>
+    `);
+}
+
+function renderOrdersPage({ orders, total, page, pageCount, query, admin }) {
+    const pageLink = target => {
+        const params = new URLSearchParams({ ...query, page: String(target) });
+        return `/admin/orders?${escapeHtml(params.toString())}`;
+    };
+
+    return layout('Orders Dashboard', `
+        <h1>📊 Orders Dashboard</h1>
+        <form class="filters card" method="GET" action="/admin/orders">
+          <select name="status">
+            <option value="">All statuses</option>
+            ${ORDER_STATES.map(status => `
+              <option value="${status}" ${query.status === status ? 'selected' : ''}>${status}</option>
+            `).join('')}
+          </select>
+          <input name="orderId" placeholder="Order ID" value="${escapeHtml(query.orderId)}">
+          <input name="phone" placeholder="Phone" value="${escapeHtml(query.phone)}">
+          <label>From <input type="date" name="from" value="${escapeHtml(query.from)}"></label>
+          <label>To <input type="date" name="to" value="${escapeHtml(query.to)}"></label>
+          <button class="btn" type="submit">Filter</button>
+          <a class="btn btn-secondary" href="/admin/orders">Reset</a>
+        </form>
+        <p><strong>Matching Orders:</strong> ${total}</p>
+        <table>
+          <tr>
+            <th>Order ID</th>
+            <th>Customer</th>
+            <th>Phone</th>
+            <th>Amount</th>
+            <th>Payment Method</th>
+            <th>Status</th>
+            <th>Date</th>
+          </tr>
+          ${orders.map(order => `
+            <tr>
+              <td><a href="${escapeHtml(orderUrl(order.orderID))}">${escapeHtml(order.orderID)}</a></td>
+              <td>${escapeHtml(order.name || 'N/A')}</td>
+              <td>${escapeHtml(order.phone || 'N/A')}</td>
+              <td>₹${escapeHtml(order.totalAmount || 'N/A')}</td>
+              <td>${escapeHtml(order.paymentMethod || 'PhonePe')}</td>
+              <td>${statusCell(order.status)}${order.shipment ? ' 🚚' : ''}</td>
+              <td>${escapeHtml(formatDate(order.createdAt))}</td>
+            </tr>
+          `).join('')}
+        </table>
+        <p>
+          ${page > 1 ? `<a class="btn btn-secondary" href="${pageLink(page - 1)}">← Previous</a>` : ''}
+          Page ${page} of ${pageCount}
+          ${page < pageCount ? `<a class="btn btn-secondary" href="${pageLink(page + 1)}">Next →</a>` : ''}
+        </p>
+    `, admin);
+}
+
+/**
+ * Builds a chronological timeline from what the order records.
+ */
+function buildTimeline(order) {
+    const events = [{ at: order.createdAt, event: 'Order created' }];
+
+    for (const attempt of getAttempts(order)) {
+        events.push({ at: attempt.createdAt, event: `Payment attempt ${attempt.merchantTransactionId} started` });
+        for (const check of attempt.reconciliation?.checks || []) {
+            events.push({ at: check.at, event: `Reconciliation check: ${check.code} → ${check.resultingStatus}` });
+        }
+        if (attempt.updatedAt && attempt.status !== 'PENDING') {
+            events.push({ at: attempt.updatedAt, event: `Payment attempt ${attempt.merchantTransactionId} → ${attempt.status} (${attempt.paymentCode || 'n/a'})` });
+        }
+    }
+    for (const refund of order.refunds || []) {
+        events.push({ at: refund.createdAt, event: `Refund ${refund.merchantTransactionId} of ${formatPaise(refund.amount)} requested` });
+        if (refund.updatedAt && refund.status !== 'PENDING') {
+            events.push({ at: refund.updatedAt, event: `Refund ${refund.merchantTransactionId} → ${refund.status}` });
+        }
+    }
+    for (const change of getHistory(order)) {
+        const details = [change.source, change.code, change.actor, change.note].filter(Boolean).join(', ');
+        events.push({ at: change.at, event: `Status ${change.from || '—'} → ${change.to} (${details})` });
+    }
+    // Shipments recorded before the lifecycle existed have no SHIPPED transition
+    if (order.shipment && !getHistory(order).some(change => change.to === 'SHIPPED')) {
+        events.push({ at: order.shipment.shippedAt, event: `Marked shipped by ${order.shipment.shippedBy}` });
+    }
+
+    return events.filter(e => e.at).sort((a, b) => a.at.localeCompare(b.at));
+}
+
+function renderOrderDetailPage({ order, admin, notice, error }) {
+    const csrf = admin.csrfToken ? `<input type="hidden" name="_csrf" value="${escapeHtml(admin.csrfToken)}">` : '';
+    const raw = value => `<details><summary>Raw response</summary><pre>${escapeHtml(JSON.stringify(value, null, 2))}</pre></details>`;
+    // Shipping has its own form for carrier and tracking details
+    const nextStates = ADMIN_STATES.filter(state => state !== 'SHIPPED' && canTransition(order.status, state));
+
+    return layout(`Order ${order.orderID}`, `
+        <h1>Order ${escapeHtml(order.orderID)}</h1>
+        ${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+        ${error ? `<p class="error-box">${escapeHtml(error)}</p>` : ''}
+
+        <div class="card">
+          <p><strong>Status:</strong> ${statusCell(order.status)}</p>
+          ${order.storefront ? `<p><strong>Storefront:</strong> ${escapeHtml(order.storefront)}</p>` : ''}
+          <p><strong>Customer:</strong> ${escapeHtml(order.name || 'N/A')}</p>
+          <p><strong>Phone:</strong> ${escapeHtml(order.phone || 'N/A')}</p>
+          <p><strong>Amount:</strong> ₹${escapeHtml(order.totalAmount || 'N/A')}</p>
+          ${order.pricing?.coupon ? `<p><strong>Coupon:</strong> ${escapeHtml(order.pricing.coupon.code)} (−${formatPaise(order.pricing.coupon.discount)})</p>` : ''}
+          <p><strong>PhonePe Transaction ID:</strong> ${escapeHtml(order.phonepeTransactionId || 'N/A')}</p>
+          <p><strong>Created:</strong> ${escapeHtml(formatDate(order.createdAt))}</p>
+          <p><strong>Updated:</strong> ${escapeHtml(formatDate(order.updatedAt))}</p>
+          ${order.shipment ? `
+          <p><strong>Shipped:</strong> ${escapeHtml(formatDate(order.shipment.shippedAt))}
+            ${escapeHtml(order.shipment.carrier)} ${escapeHtml(order.shipment.trackingNumber)}</p>` : ''}
+        </div>
+
+        <div class="card">
+          <h2>Actions</h2>
+          <form method="POST" action="${escapeHtml(orderUrl(order.orderID))}/reverify" style="display: inline;">
+            ${csrf}
+            <button class="btn" type="submit">🔄 Re-verify with PhonePe</button>
+          </form>
+          ${canTransition(order.status, 'SHIPPED') ? `
+          <form method="POST" action="${escapeHtml(orderUrl(order.orderID))}/ship" style="margin-top: 15px;">
+            ${csrf}
+            <input name="carrier" placeholder="Carrier">
+            <input name="trackingNumber" placeholder="Tracking number">
+            <button class="btn" type="submit">🚚 Mark shipped</button>
+          </form>` : ''}
+          ${nextStates.length ? `
+          <form method="POST" action="${escapeHtml(orderUrl(order.orderID))}/status" style="margin-top: 15px;">
+            ${csrf}
+            <select name="status">
+              ${nextStates.map(state => `<option value="${state}">${state}</option>`).join('')}
+            </select>
+            <input name="note" placeholder="Note (optional)">
+            <button class="btn btn-secondary" type="submit">Change status</button>
+          </form>` : ''}
+          ${isPaid(order) || order.invoice ? `
+          <form method="POST" action="${escapeHtml(orderUrl(order.orderID))}/invoice/resend" style="margin-top: 15px;">
+            ${csrf}
+            <button class="btn btn-secondary" type="submit">🧾 ${order.invoice ? 'Re-send invoice' : 'Issue and send invoice'}</button>
+          </form>` : ''}
+        </div>
+
+        ${order.invoice ? `
+        <div class="card">
+          <h2>Invoice</h2>
+          <p><strong>Number:</strong> ${escapeHtml(order.invoice.number)}
+            (<a href="/orders/${encodeURIComponent(order.orderID)}/invoice" target="_blank">PDF</a>)</p>
+          <p><strong>Issued:</strong> ${escapeHtml(formatDate(order.invoice.issuedAt))}</p>
+          <p><strong>Place of Supply:</strong> ${escapeHtml(order.invoice.placeOfSupply?.state || 'N/A')}
+            (${order.invoice.taxType === 'INTRA_STATE' ? 'CGST + SGST' : 'IGST'})</p>
+          <p><strong>Email:</strong> ${statusCell(order.invoice.email.status)}
+            ${escapeHtml(order.invoice.email.to || '')} ${order.invoice.email.sentAt ? escapeHtml(formatDate(order.invoice.email.sentAt)) : ''}
+            ${order.invoice.email.lastError ? `<span class="error-box">${escapeHtml(order.invoice.email.lastError)}</span>` : ''}</p>
+        </div>` : ''}
+
+        ${order.pricing ? `
+        <h2>Items</h2>
+        <table>
+          <tr><th>SKU</th><th>Product</th><th>Qty</th><th>Taxable</th><th>GST</th><th>Total</th></tr>
+          ${order.pricing.items.map(item => `
+            <tr>
+              <td>${escapeHtml(item.sku)}</td>
+              <td>${escapeHtml(item.name)}</td>
+              <td>${escapeHtml(item.quantity)}</td>
+              <td>${formatPaise(item.taxableAmount)}</td>
+              <td>${formatPaise(item.taxAmount)} (${escapeHtml(item.taxRate)}%)</td>
+              <td>${formatPaise(item.lineTotal)}</td>
+            </tr>
+          `).join('')}
+          <tr><td colspan="5"><strong>Shipping</strong></td><td>${formatPaise(order.pricing.shipping)}</td></tr>
+          <tr><td colspan="5"><strong>Total</strong></td><td>${formatPaise(order.pricing.total)}</td></tr>
+        </table>` : ''}
+
+        <h2>Payment Attempts</h2>
+        <table>
+          <tr><th>Merchant Transaction ID</th><th>Mode</th><th>Amount</th><th>Status</th><th>Code</th><th>Started</th><th>PhonePe Response</th></tr>
+          ${getAttempts(order).map(attempt => `
+            <tr>
+              <td>${escapeHtml(attempt.merchantTransactionId)}</td>
+              <td>${escapeHtml(attempt.paymentMode || 'PAY_PAGE')}</td>
+              <td>${formatPaise(attempt.amount)}</td>
+              <td>${statusCell(attempt.status)}</td>
+              <td>${escapeHtml(attempt.paymentCode || '')}</td>
+              <td>${escapeHtml(formatDate(attempt.createdAt))}</td>
+              <td>${raw(attempt.phonepeResponse || order.phonepeResponse || null)}</td>
+            </tr>
+          `).join('')}
+        </table>
+
+        ${order.refunds?.length ? `
+        <h2>Refunds</h2>
+        <table>
+          <tr><th>Refund ID</th><th>Amount</th><th>Status</th><th>Requested</th><th>PhonePe Response</th></tr>
+          ${order.refunds.map(refund => `
+            <tr>
+              <td>${escapeHtml(refund.merchantTransactionId)}</td>
+              <td>${formatPaise(refund.amount)}</td>
+              <td>${statusCell(refund.status)}</td>
+              <td>${escapeHtml(formatDate(refund.createdAt))}</td>
+              <td>${raw(refund.lastStatusResponse || null)}</td>
+            </tr>
+          `).join('')}
+        </table>` : ''}
+
+        <h2>Status History</h2>
+        <table>
+          <tr><th>When</th><th>Event</th></tr>
+          ${buildTimeline(order).map(entry => `
+            <tr><td>${escapeHtml(formatDate(entry.at))}</td><td>${escapeHtml(entry.event)}</td></tr>
+          `).join('')}
+        </table>
+    `, admin);
+}
+
+// --- ROUTES ---
+
+function createAdminRouter({ auth, orderRepository, verifyOrderPayment, onOrderChange, invoices }) {
+    const router = express.Router();
+    router.use(express.urlencoded({ extended: false }));
+
+    // Only redirect back into the admin area after login
+    const safeNext = next => (typeof next === 'string' && /^\/admin\/(?!\/)/.test(next) ? next : '/admin/orders');
+
+    router.get('/login', (req, res) => {
+        res.send(renderLoginPage(safeNext(req.query.next)));
+    });
+
+    router.post('/login', (req, res) => {
+        const session = auth.login(req.body.username, req.body.password);
+
+        if (!session) {
+            log.warn('Failed admin login', { username: req.body.username });
+            return res.status(401).send(renderLoginPage(safeNext(req.body.next), 'Invalid username or password.'));
+        }
+
+        auth.setSessionCookie(res, session);
+        res.redirect(safeNext(req.body.next));
+    });
+
+    router.post('/logout', (req, res) => {
+        auth.clearSessionCookie(res);
+        res.redirect('/admin/login');
+    });
+
+    router.use(auth.requireAdmin);
+
+    router.get('/orders', (req, res) => {
+        const query = {
+            status: ORDER_STATES.includes(req.query.status) ? req.query.status : '',
+            orderId: String(req.query.orderId || '').trim(),
+            phone: String(req.query.phone || '').trim(),
+            from: String(req.query.from || ''),
+            to: String(req.query.to || '')
+        };
+        const filters = {
+            status: query.status || undefined,
+            orderId: query.orderId || undefined,
+            phone: query.phone || undefined,
+            from: toRangeStart(query.from),
+            to: toRangeEnd(query.to)
+        };
+
+        const total = orderRepository.count(filters);
+        const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+        const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pageCount);
+        const orders = orderRepository.list({ ...filters, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE });
+
+        if (req.accepts(['html', 'json']) === 'json') {
+            return res.json({ success: true, total, page, pageCount, orders });
+        }
+        res.send(renderOrdersPage({ orders, total, page, pageCount, query, admin: req.admin }));
+    });
+
+    router.get('/orders/:orderId', (req, res) => {
+        const order = orderRepository.getById(req.params.orderId);
+
+        if (!order) {
+            return res.status(404).send(layout('Not Found', '<h1>Order not found</h1>', req.admin));
+        }
+        if (req.accepts(['html', 'json']) === 'json') {
+            return res.json({ success: true, order });
+        }
+        res.send(renderOrderDetailPage({ order, admin: req.admin, notice: req.query.notice, error: req.query.error }));
+    });
+
+    // Re-verify with PhonePe, even if the order already looks settled
+    router.post('/orders/:orderId/reverify', async (req, res) => {
+        const back = message => `${orderUrl(req.params.orderId)}?${new URLSearchParams(message)}`;
+
+        try {
+            const order = orderRepository.getById(req.params.orderId);
+            if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+            const updated = await verifyOrderPayment(order, { force: true, source: SOURCES.ADMIN });
+            log.info('Admin re-verified order', { admin: req.admin.username, orderId: order.orderID, status: updated.status });
+
+            if (req.admin.via === 'token') return res.json({ success: true, status: updated.status, order: updated });
+            res.redirect(back({ notice: `Re-verified with PhonePe: ${updated.status}` }));
+        } catch (error) {
+            log.error('Admin re-verify failed', { orderId: req.params.orderId, error });
+            if (req.admin.via === 'token') return res.status(500).json({ success: false, message: error.message });
+            res.redirect(back({ error: `Re-verify failed: ${error.message}` }));
+        }
+    });
+
+    /**
+     * Applies an admin status change. `apply` can add details to the order;
+     * API clients get JSON, browsers are sent back to the order page.
+     */
+    function changeStatus(req, res, to, notice, apply = () => {}) {
+        let rejection;
+        const order = orderRepository.update(req.params.orderId, current => {
+            if (!canTransition(current.status, to)) {
+                rejection = `Order cannot move from ${current.status} to ${to}.`;
+                return false;
+            }
+
+            apply(current);
+            transition(current, to, {
+                source: SOURCES.ADMIN,
+                actor: req.admin.username,
+                note: String(req.body.note || '').trim()
+            });
+        });
+
+        if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+        if (!rejection) {
+            log.info('Admin changed order status', { admin: req.admin.username, orderId: order.orderID, status: to });
+            onOrderChange(order);
+        }
+
+        if (req.admin.via === 'token') {
+            return rejection
+                ? res.status(400).json({ success: false, message: rejection })
+                : res.json({ success: true, order });
+        }
+        const params = new URLSearchParams(rejection ? { error: rejection } : { notice });
+        res.redirect(`${orderUrl(order.orderID)}?${params}`);
+    }
+
+    router.post('/orders/:orderId/ship', (req, res) => {
+        changeStatus(req, res, 'SHIPPED', 'Order marked shipped.', current => {
+            current.shipment = {
+                shippedAt: new Date().toISOString(),
+                shippedBy: req.admin.username,
+                carrier: String(req.body.carrier || '').trim(),
+                trackingNumber: String(req.body.trackingNumber || '').trim()
+            };
+        });
+    });
+
+    // Fulfilment, delivery and cancellation; payment and refund states follow PhonePe
+    router.post('/orders/:orderId/status', (req, res) => {
+        const to = String(req.body.status || '');
+
+        if (!ADMIN_STATES.includes(to)) {
+            const message = `Status must be one of ${ADMIN_STATES.join(', ')}.`;
+            if (req.admin.via === 'token') return res.status(400).json({ success: false, message });
+            return res.redirect(`${orderUrl(req.params.orderId)}?${new URLSearchParams({ error: message })}`);
+        }
+
+        changeStatus(req, res, to, `Order marked ${to}.`);
+    });
+
+    // Issues the invoice if the order has none yet, then emails it again
+    router.post('/orders/:orderId/invoice/resend', async (req, res) => {
+        const back = message => `${orderUrl(req.params.orderId)}?${new URLSearchParams(message)}`;
+
+        try {
+            const order = invoices.issue(req.params.orderId);
+            if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+            if (!order.invoice) {
+                const message = 'Only paid orders can be invoiced.';
+                if (req.admin.via === 'token') return res.status(400).json({ success: false, message });
+                return res.redirect(back({ error: message }));
+            }
+
+            const email = await invoices.send(order.orderID);
+            log.info('Admin re-sent invoice', { admin: req.admin.username, orderId: order.orderID, invoiceNumber: order.invoice.number, status: email.status });
+
+            if (req.admin.via === 'token') return res.json({ success: email.status === 'SENT', invoice: { ...order.invoice, email } });
+            res.redirect(back(email.status === 'SENT'
+                ? { notice: `Invoice ${order.invoice.number} sent to ${email.to}.` }
+                : { error: `Invoice not sent: ${email.lastError}` }));
+        } catch (error) {
+            log.error('Admin invoice re-send failed', { orderId: req.params.orderId, error });
+            if (req.admin.via === 'token') return res.status(500).json({ success: false, message: error.message });
+            res.redirect(back({ error: `Invoice failed: ${error.message}` }));
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,196 @@
+const fs = require('fs');
+
+/**
+ * Product catalog and server-side cart pricing.
+ *
+ * The catalog is a JSON file:
+ *   {
+ *     "pricesIncludeTax": true,
+ *     "shipping": { "flatFee": 49, "freeAbove": 999 },
+ *     "products": [{ "sku": "...", "name": "...", "price": 499, "taxRate": 18, "hsn": "3301", "active": true }]
+ *   }
+ * Prices and shipping amounts in the file are rupees; everything this module
+ * returns is in paise so totals never suffer from float rounding.
+ */
+
+const MAX_QUANTITY = 100;
+
+class CartValidationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'CartValidationError';
+        this.details = details;
+    }
+}
+
+function toPaise(amount) {
+    return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Splits a line's gross amount into taxable value and tax. Tax is backed out
+ * of the amount when prices are tax-inclusive, and added on top otherwise.
+ */
+function splitLineTax(gross, taxRate, pricesIncludeTax) {
+    if (pricesIncludeTax) {
+        const taxAmount = Math.round(gross * taxRate / (100 + taxRate));
+        return { taxableAmount: gross - taxAmount, taxAmount };
+    }
+    return { taxableAmount: gross, taxAmount: Math.round(gross * taxRate / 100) };
+}
+
+// Free above the threshold (checked against items including tax), the flat fee otherwise
+function shippingFee(itemsTotal, shipping) {
+    return itemsTotal >= shipping.freeAbove ? 0 : shipping.flatFee;
+}
+
+/**
+ * Takes `discount` paise off the prices of a priced cart. The discount is
+ * spread over the lines in proportion to their price (largest remainders get
+ * the odd paise) and each line's tax is worked out again on what is left, so
+ * invoices show the reduced taxable value. Lines record their share of the
+ * price reduction; the cart's `discount` is what the items total actually
+ * dropped by, which for tax-exclusive prices includes the tax saved.
+ * Shipping is not discounted, but the free-shipping threshold is checked
+ * again against the discounted items.
+ */
+function applyDiscount(pricing, discount, shipping) {
+    const bases = pricing.items.map(line => line.unitPrice * line.quantity);
+    const base = bases.reduce((sum, value) => sum + value, 0);
+    const amount = Math.min(discount, base);
+
+    const shares = bases.map(value => Math.floor(amount * value / base));
+    let leftover = amount - shares.reduce((sum, value) => sum + value, 0);
+    bases
+        .map((value, index) => ({ index, remainder: (amount * value) % base }))
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(({ index }) => {
+            if (leftover > 0) {
+                shares[index]++;
+                leftover--;
+            }
+        });
+
+    const lines = pricing.items.map((line, index) => {
+        const { taxableAmount, taxAmount } = splitLineTax(bases[index] - shares[index], line.taxRate, pricing.pricesIncludeTax);
+        return { ...line, discount: shares[index], taxableAmount, taxAmount, lineTotal: taxableAmount + taxAmount };
+    });
+
+    const subtotal = lines.reduce((sum, line) => sum + line.taxableAmount, 0);
+    const taxTotal = lines.reduce((sum, line) => sum + line.taxAmount, 0);
+    const itemsTotal = subtotal + taxTotal;
+    const fee = shippingFee(itemsTotal, shipping);
+
+    return {
+        ...pricing,
+        items: lines,
+        subtotal,
+        taxTotal,
+        shipping: fee,
+        discount: pricing.subtotal + pricing.taxTotal - itemsTotal,
+        total: itemsTotal + fee
+    };
+}
+
+function createCatalog(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const pricesIncludeTax = data.pricesIncludeTax !== false;
+    const shipping = {
+        flatFee: toPaise(data.shipping?.flatFee || 0),
+        freeAbove: data.shipping?.freeAbove === undefined ? Infinity : toPaise(data.shipping.freeAbove)
+    };
+
+    const products = new Map();
+    for (const product of data.products || []) {
+        if (!product.sku || !(Number(product.price) >= 0) || !(Number(product.taxRate) >= 0)) {
+            throw new Error(`Invalid catalog entry: ${JSON.stringify(product)}`);
+        }
+        if (products.has(product.sku)) {
+            throw new Error(`Duplicate SKU in catalog: ${product.sku}`);
+        }
+        products.set(product.sku, {
+            sku: product.sku,
+            name: product.name || product.sku,
+            hsn: product.hsn || '',
+            price: toPaise(product.price),
+            taxRate: Number(product.taxRate),
+            active: product.active !== false
+        });
+    }
+
+    function priceLine(product, quantity) {
+        const { taxableAmount, taxAmount } = splitLineTax(product.price * quantity, product.taxRate, pricesIncludeTax);
+
+        return {
+            sku: product.sku,
+            name: product.name,
+            hsn: product.hsn,
+            quantity,
+            unitPrice: product.price,
+            taxRate: product.taxRate,
+            taxableAmount,
+            taxAmount,
+            lineTotal: taxableAmount + taxAmount
+        };
+    }
+
+    /**
+     * Validates `[{ sku, quantity }]` against the catalog and returns the priced
+     * breakdown. Throws CartValidationError for malformed carts, unknown or
+     * inactive SKUs.
+     */
+    function priceCart(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new CartValidationError('Cart is empty.');
+        }
+
+        // Merge repeated SKUs so each product is priced once
+        const quantities = new Map();
+        for (const item of items) {
+            const quantity = Number(item?.quantity);
+            if (typeof item?.sku !== 'string' || !Number.isInteger(quantity) || quantity < 1) {
+                throw new CartValidationError('Each cart item needs a sku and a positive integer quantity.', { item });
+            }
+            quantities.set(item.sku, (quantities.get(item.sku) || 0) + quantity);
+        }
+
+        const unknownSkus = [...quantities.keys()].filter(sku => !products.has(sku));
+        const inactiveSkus = [...quantities.keys()].filter(sku => products.get(sku)?.active === false);
+
+        if (unknownSkus.length || inactiveSkus.length) {
+            throw new CartValidationError('Cart contains unknown or unavailable products.', { unknownSkus, inactiveSkus });
+        }
+
+        const lines = [];
+        for (const [sku, quantity] of quantities) {
+            if (quantity > MAX_QUANTITY) {
+                throw new CartValidationError(`Quantity for ${sku} exceeds the limit of ${MAX_QUANTITY}.`, { sku });
+            }
+            lines.push(priceLine(products.get(sku), quantity));
+        }
+
+        const subtotal = lines.reduce((sum, line) => sum + line.taxableAmount, 0);
+        const taxTotal = lines.reduce((sum, line) => sum + line.taxAmount, 0);
+        const itemsTotal = subtotal + taxTotal;
+        const fee = shippingFee(itemsTotal, shipping);
+
+        return {
+            currency: 'INR',
+            pricesIncludeTax,
+            items: lines,
+            subtotal,
+            taxTotal,
+            shipping: fee,
+            total: itemsTotal + fee
+        };
+    }
+
+    return {
+        getProduct: sku => products.get(sku) || null,
+        listProducts: () => [...products.values()],
+        priceCart,
+        applyDiscount: (pricing, discount) => applyDiscount(pricing, discount, shipping)
+    };
+}
+
+module.exports = { createCatalog, CartValidationError };
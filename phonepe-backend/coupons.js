@@ -0,0 +1,188 @@
+const fs = require('fs');
+const { isPaid } = require('./paymentAttempts');
+const { logger } = require('./logger');
+
+/**
+ * Coupons: definitions from a JSON file, redemptions in SQLite.
+ *
+ *   {
+ *     "coupons": [{
+ *       "code": "WELCOME10", "type": "percentage", "value": 10, "maxDiscount": 150,
+ *       "minCartValue": 499, "validFrom": "2026-10-01T00:00:00+05:30", "validUntil": "2026-12-31T23:59:59+05:30",
+ *       "usageLimit": 1000, "perPhoneLimit": 1, "firstOrderOnly": true, "active": true
+ *     }]
+ *   }
+ *
+ * `type` is "percentage" or "flat" (value in rupees). Amounts in the file are
+ * rupees like the catalog's; everything returned is paise. The discount is
+ * taken off the item prices (not shipping) and minCartValue is checked against
+ * the items total. With tax-exclusive prices the customer also saves the tax
+ * on the discount, and the reported discount includes it (see
+ * catalog.applyDiscount). Codes are case-insensitive.
+ *
+ * Limits are checked when a payment starts and a redemption is only recorded
+ * once the order is PAID, so abandoned checkouts never use up a coupon. Two
+ * customers paying at the same moment can therefore both get the last use.
+ */
+
+const log = logger.child({ component: 'coupons' });
+
+const COUPON_TYPES = ['percentage', 'flat'];
+
+class CouponError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'CouponError';
+        this.details = details;
+    }
+}
+
+function toPaise(amount) {
+    return Math.round(Number(amount) * 100);
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function parseDate(value, coupon) {
+    if (value === undefined || value === null) return null;
+    const time = Date.parse(value);
+    if (isNaN(time)) throw new Error(`Invalid date "${value}" in coupon ${coupon.code}`);
+    return time;
+}
+
+function loadDefinitions(filePath) {
+    if (!fs.existsSync(filePath)) {
+        log.info('No coupons file, coupons are disabled', { path: filePath });
+        return new Map();
+    }
+
+    const coupons = new Map();
+    for (const entry of JSON.parse(fs.readFileSync(filePath, 'utf8')).coupons || []) {
+        const code = normalizeCode(entry.code);
+        const value = Number(entry.value);
+
+        if (!code || !COUPON_TYPES.includes(entry.type) || !(value > 0) || (entry.type === 'percentage' && value > 100)) {
+            throw new Error(`Invalid coupon entry: ${JSON.stringify(entry)}`);
+        }
+        if (coupons.has(code)) {
+            throw new Error(`Duplicate coupon code: ${code}`);
+        }
+
+        coupons.set(code, {
+            code,
+            type: entry.type,
+            value: entry.type === 'flat' ? toPaise(value) : value,
+            maxDiscount: entry.maxDiscount === undefined ? Infinity : toPaise(entry.maxDiscount),
+            minCartValue: toPaise(entry.minCartValue || 0),
+            validFrom: parseDate(entry.validFrom, entry),
+            validUntil: parseDate(entry.validUntil, entry),
+            usageLimit: entry.usageLimit ?? Infinity,
+            perPhoneLimit: entry.perPhoneLimit ?? Infinity,
+            firstOrderOnly: entry.firstOrderOnly === true,
+            active: entry.active !== false
+        });
+    }
+    return coupons;
+}
+
+function createCouponService(db, { filePath, orderRepository, catalog }) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS coupon_redemptions (
+            order_id    TEXT PRIMARY KEY,
+            code        TEXT NOT NULL,
+            phone       TEXT,
+            discount    INTEGER NOT NULL,
+            redeemed_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_code ON coupon_redemptions (code, phone);
+    `);
+
+    const statements = {
+        insert: db.prepare(`
+            INSERT OR IGNORE INTO coupon_redemptions (order_id, code, phone, discount, redeemed_at)
+            VALUES (@orderId, @code, @phone, @discount, @redeemedAt)
+        `),
+        countByCode: db.prepare('SELECT COUNT(*) AS total FROM coupon_redemptions WHERE code = ?'),
+        countByPhone: db.prepare('SELECT COUNT(*) AS total FROM coupon_redemptions WHERE code = ? AND phone = ?')
+    };
+
+    const coupons = loadDefinitions(filePath);
+
+    function hasPaidOrder(phone, exceptOrderId) {
+        return orderRepository.list({ phone }).some(order => order.orderID !== exceptOrderId && isPaid(order));
+    }
+
+    /**
+     * Checks `couponCode` against a priced cart and returns the pricing with
+     * the discount applied and `pricing.coupon` set. `phone` enables the
+     * per-phone and first-order checks (the preview can leave it out).
+     * Throws CouponError when the coupon does not apply.
+     */
+    function apply(couponCode, pricing, { phone, orderId, now = new Date() } = {}) {
+        const code = normalizeCode(couponCode);
+        const coupon = coupons.get(code);
+        const reject = (reason, message) => {
+            throw new CouponError(message, { couponCode: code, reason });
+        };
+
+        if (!coupon || !coupon.active) reject('COUPON_NOT_FOUND', 'This coupon code is not valid.');
+        if (coupon.validFrom !== null && now.getTime() < coupon.validFrom) reject('COUPON_NOT_STARTED', 'This coupon is not active yet.');
+        if (coupon.validUntil !== null && now.getTime() > coupon.validUntil) reject('COUPON_EXPIRED', 'This coupon has expired.');
+
+        const itemsTotal = pricing.subtotal + pricing.taxTotal;
+        if (itemsTotal < coupon.minCartValue) {
+            reject('MIN_CART_VALUE', `This coupon needs a cart value of at least ₹${(coupon.minCartValue / 100).toFixed(2)}.`);
+        }
+
+        if (statements.countByCode.get(code).total >= coupon.usageLimit) {
+            reject('USAGE_LIMIT_REACHED', 'This coupon has been fully redeemed.');
+        }
+        if (phone) {
+            if (statements.countByPhone.get(code, String(phone)).total >= coupon.perPhoneLimit) {
+                reject('PHONE_LIMIT_REACHED', 'You have already used this coupon.');
+            }
+            if (coupon.firstOrderOnly && hasPaidOrder(String(phone), orderId)) {
+                reject('FIRST_ORDER_ONLY', 'This coupon is only valid on your first order.');
+            }
+        }
+
+        const base = pricing.items.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+        const discount = Math.min(
+            coupon.type === 'percentage' ? Math.round(base * coupon.value / 100) : coupon.value,
+            coupon.maxDiscount
+        );
+
+        const discounted = catalog.applyDiscount(pricing, discount);
+        return { ...discounted, coupon: { code, type: coupon.type, discount: discounted.discount } };
+    }
+
+    /**
+     * Records the redemption of a paid order's coupon. Safe to call more than
+     * once per order. Returns true if this call recorded it.
+     */
+    function redeem(order) {
+        const coupon = order.pricing?.coupon;
+        if (!coupon || !isPaid(order)) return false;
+
+        const { changes } = statements.insert.run({
+            orderId: order.orderID,
+            code: coupon.code,
+            phone: order.phone || null,
+            discount: coupon.discount,
+            redeemedAt: new Date().toISOString()
+        });
+
+        if (changes > 0) log.info('Coupon redeemed', { orderId: order.orderID, couponCode: coupon.code, discount: coupon.discount });
+        return changes > 0;
+    }
+
+    return {
+        apply,
+        redeem,
+        enabled: coupons.size > 0
+    };
+}
+
+module.exports = { createCouponService, CouponError };
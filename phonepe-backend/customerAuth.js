@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { safeEqual } = require('./adminAuth');
+const { getCurrentAttempt, isLegacyAttempt } = require('./paymentAttempts');
+const { logger } = require('./logger');
+
+/**
+ * Customer login by phone number and one-time code.
+ *
+ * requestOtp() texts a 6-digit code through the SMS provider (see sms.js);
+ * only an HMAC of it is stored, with its expiry and the number of wrong
+ * guesses. verifyOtp() trades a correct code for a short-lived signed token,
+ *
+ *   Authorization: Bearer <token>
+ *
+ * which lets the customer read the orders placed with that phone number.
+ * Tokens are stateless (payload + HMAC, like admin sessions) and simply
+ * expire. A challenge allows a few wrong guesses, then a new code must be
+ * requested, and codes cannot be re-sent faster than the resend interval.
+ *
+ * Order status tokens are narrower: signed for one payment attempt of one
+ * order, they let that checkout and its result page follow the order without
+ * a login. They expire, and stop working once another attempt is started.
+ */
+
+const log = logger.child({ component: 'customer-auth' });
+
+const CODE_LENGTH = 6;
+
+class OtpError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'OtpError';
+        this.details = details;
+    }
+}
+
+function createCustomerAuth({
+    db,
+    sms,
+    tokenSecret,
+    senderName = 'your store',
+    tokenTtlMs = 30 * 60 * 1000,
+    orderTokenTtlMs = 2 * 60 * 60 * 1000,
+    otpTtlMs = 5 * 60 * 1000,
+    resendIntervalMs = 30 * 1000,
+    maxAttempts = 5
+}) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS customer_otps (
+            phone      TEXT PRIMARY KEY,
+            code_hash  TEXT NOT NULL,
+            sent_at    INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            attempts   INTEGER NOT NULL DEFAULT 0
+        );
+    `);
+
+    const statements = {
+        get: db.prepare('SELECT * FROM customer_otps WHERE phone = ?'),
+        save: db.prepare(`
+            INSERT INTO customer_otps (phone, code_hash, sent_at, expires_at, attempts)
+            VALUES (@phone, @codeHash, @sentAt, @expiresAt, 0)
+            ON CONFLICT (phone) DO UPDATE SET
+                code_hash = excluded.code_hash, sent_at = excluded.sent_at, expires_at = excluded.expires_at, attempts = 0
+        `),
+        addAttempt: db.prepare('UPDATE customer_otps SET attempts = attempts + 1 WHERE phone = ?'),
+        remove: db.prepare('DELETE FROM customer_otps WHERE phone = ?'),
+        removeExpired: db.prepare('DELETE FROM customer_otps WHERE expires_at < ?')
+    };
+
+    if (!tokenSecret) {
+        tokenSecret = crypto.randomBytes(32).toString('hex');
+        log.warn('CUSTOMER_TOKEN_SECRET not set, customer logins will not survive a restart');
+    }
+
+    function sign(value) {
+        return crypto.createHmac('sha256', tokenSecret).update(value).digest('base64url');
+    }
+
+    function hashCode(phone, code) {
+        return sign(`otp:${phone}:${code}`);
+    }
+
+    /**
+     * Texts a new code to the phone, replacing any earlier one. Returns
+     * { expiresIn, resendAfter } in seconds. Throws OtpError (OTP_COOLDOWN)
+     * when asked again within the resend interval; SMS failures propagate.
+     */
+    async function requestOtp(phone) {
+        const now = Date.now();
+        statements.removeExpired.run(now);
+
+        const current = statements.get.get(phone);
+        if (current && current.sent_at + resendIntervalMs > now) {
+            throw new OtpError('Please wait before requesting another code.', {
+                code: 'OTP_COOLDOWN',
+                retryAfter: Math.ceil((current.sent_at + resendIntervalMs - now) / 1000)
+            });
+        }
+
+        const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+        statements.save.run({ phone, codeHash: hashCode(phone, code), sentAt: now, expiresAt: now + otpTtlMs });
+
+        try {
+            await sms.send({
+                phone,
+                message: `${code} is your ${senderName} login code. It expires in ${Math.round(otpTtlMs / 60000)} minutes. Do not share it with anyone.`
+            });
+        } catch (error) {
+            statements.remove.run(phone);
+            throw error;
+        }
+
+        log.info('Login code sent', { phone, provider: sms.name });
+        return { expiresIn: Math.round(otpTtlMs / 1000), resendAfter: Math.round(resendIntervalMs / 1000) };
+    }
+
+    /**
+     * Checks a code and returns { token, expiresAt } for the phone. Throws
+     * OtpError with OTP_EXPIRED, OTP_INVALID (with attemptsLeft) or OTP_LOCKED.
+     */
+    function verifyOtp(phone, code) {
+        const challenge = statements.get.get(phone);
+        if (!challenge || challenge.expires_at < Date.now()) {
+            throw new OtpError('This code has expired. Please request a new one.', { code: 'OTP_EXPIRED' });
+        }
+
+        if (!safeEqual(hashCode(phone, code), challenge.code_hash)) {
+            const attemptsLeft = maxAttempts - challenge.attempts - 1;
+            if (attemptsLeft <= 0) {
+                statements.remove.run(phone);
+                log.warn('Login code locked after too many wrong guesses', { phone });
+                throw new OtpError('Too many incorrect codes. Please request a new one.', { code: 'OTP_LOCKED' });
+            }
+            statements.addAttempt.run(phone);
+            throw new OtpError('That code is not correct.', { code: 'OTP_INVALID', attemptsLeft });
+        }
+
+        statements.remove.run(phone);
+        log.info('Customer logged in', { phone });
+        return issueToken(phone);
+    }
+
+    function issueToken(phone) {
+        const expiresAt = Date.now() + tokenTtlMs;
+        const payload = Buffer.from(JSON.stringify({ sub: phone, exp: expiresAt })).toString('base64url');
+        return { token: `${payload}.${sign(`customer:${payload}`)}`, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * The customer ({ phone }) a token was issued to, or null if it is invalid or expired.
+     */
+    function verifyToken(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature || !safeEqual(signature, sign(`customer:${payload}`))) return null;
+
+        const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return exp > Date.now() ? { phone: sub } : null;
+    }
+
+    /**
+     * The logged-in customer behind a request, or null. Never rejects.
+     */
+    function identify(req) {
+        const authorization = req.get('Authorization') || '';
+        return authorization.startsWith('Bearer ') ? verifyToken(authorization.slice(7)) : null;
+    }
+
+    /**
+     * Express middleware. Sets req.customer = { phone } or answers 401.
+     */
+    function requireCustomer(req, res, next) {
+        req.customer = identify(req);
+        if (!req.customer) {
+            return res.status(401).json({ success: false, code: 'LOGIN_REQUIRED', message: 'Please log in with your phone number.' });
+        }
+        next();
+    }
+
+    /**
+     * A status token for one payment attempt, so its checkout and result page
+     * can read the order.
+     */
+    function orderToken(orderId, merchantTransactionId) {
+        const payload = Buffer.from(JSON.stringify({ sub: orderId, txn: merchantTransactionId, exp: Date.now() + orderTokenTtlMs })).toString('base64url');
+        return `${payload}.${sign(`order:${payload}`)}`;
+    }
+
+    /**
+     * Whether a status token is unexpired and was issued for the order's current
+     * attempt. Legacy orders (see paymentAttempts.isLegacyAttempt) have none.
+     */
+    function verifyOrderToken(order, token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature || !safeEqual(signature, sign(`order:${payload}`))) return false;
+
+        const attempt = getCurrentAttempt(order);
+        const { sub, txn, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return exp > Date.now() && sub === order.orderID && txn === attempt.merchantTransactionId && !isLegacyAttempt(order, attempt);
+    }
+
+    return {
+        requestOtp,
+        verifyOtp,
+        verifyToken,
+        identify,
+        requireCustomer,
+        orderToken,
+        verifyOrderToken
+    };
+}
+
+module.exports = { createCustomerAuth, OtpError };
@@ -0,0 +1,37 @@
+const Database = require('better-sqlite3');
+
+/**
+ * Opens the SQLite database shared by the order repository and the other
+ * stores. WAL mode lets reads run while a write transaction is open.
+ */
+function openDatabase(filename) {
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS migrations (
+            name       TEXT PRIMARY KEY,
+            applied_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS health_checks (
+            id         INTEGER PRIMARY KEY CHECK (id = 1),
+            checked_at TEXT NOT NULL
+        );
+    `);
+
+    return db;
+}
+
+/**
+ * Proves the database still accepts writes (disk full, read-only mount,
+ * locked file) by rewriting a single row. Throws if it does not.
+ */
+function checkWritable(db) {
+    db.prepare(`
+        INSERT INTO health_checks (id, checked_at) VALUES (1, ?)
+        ON CONFLICT (id) DO UPDATE SET checked_at = excluded.checked_at
+    `).run(new Date().toISOString());
+}
+
+module.exports = { openDatabase, checkWritable };
@@ -0,0 +1,110 @@
+/**
+ * Customer-facing strings in English and Hindi.
+ *
+ * The locale comes from `?lang=` when it names a supported one, otherwise
+ * from the best Accept-Language match, otherwise English. Placeholders are
+ * written {name} and filled by t(key, params).
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = {
+    en: {
+        'success.title': 'Payment Successful',
+        'success.heading': 'Payment Successful!',
+        'success.message': 'Your order has been confirmed! Your tax invoice will be emailed to you shortly.',
+        'pending.title': 'Payment Pending',
+        'pending.heading': 'Payment Pending',
+        'pending.message': 'Your payment is being processed. This page will update automatically.',
+        'pending.timeout': 'We are still waiting for confirmation from the bank. Please check back in a few minutes.',
+        'failure.title': 'Payment Failed',
+        'failure.heading': 'Payment Failed',
+        'failure.message': 'Please try again or contact support.',
+        'notFound.title': 'Order Not Found',
+        'notFound.message': 'We could not find this order in our records.',
+        'noData.title': 'Callback Error',
+        'noData.message': 'No transaction data was received.',
+        'error.title': 'Something Went Wrong',
+        'error.message': 'We could not process the payment response. Please contact support.',
+        'label.orderId': 'Order ID',
+        'label.transactionId': 'Transaction ID',
+        'label.amountPaid': 'Amount Paid',
+        'label.customer': 'Customer',
+        'button.viewOrder': 'View Order Details',
+        'button.downloadInvoice': 'Download Invoice',
+        'button.checkStatus': 'Check Status',
+        'button.returnToCart': 'Return to Cart',
+        'button.close': 'Close Window',
+        'support.heading': 'Need help?',
+        'notAvailable': 'N/A'
+    },
+    hi: {
+        'success.title': 'भुगतान सफल',
+        'success.heading': 'भुगतान सफल!',
+        'success.message': 'आपका ऑर्डर कन्फ़र्म हो गया है! आपका टैक्स इनवॉइस जल्द ही आपको ईमेल किया जाएगा।',
+        'pending.title': 'भुगतान लंबित',
+        'pending.heading': 'भुगतान लंबित',
+        'pending.message': 'आपका भुगतान प्रोसेस हो रहा है। यह पेज अपने-आप अपडेट हो जाएगा।',
+        'pending.timeout': 'हम अभी भी बैंक से पुष्टि की प्रतीक्षा कर रहे हैं। कृपया कुछ मिनट बाद दोबारा देखें।',
+        'failure.title': 'भुगतान विफल',
+        'failure.heading': 'भुगतान विफल',
+        'failure.message': 'कृपया दोबारा प्रयास करें या सहायता से संपर्क करें।',
+        'notFound.title': 'ऑर्डर नहीं मिला',
+        'notFound.message': 'हमें अपने रिकॉर्ड में यह ऑर्डर नहीं मिला।',
+        'noData.title': 'कॉलबैक त्रुटि',
+        'noData.message': 'कोई ट्रांज़ैक्शन डेटा नहीं मिला।',
+        'error.title': 'कुछ गलत हो गया',
+        'error.message': 'हम भुगतान का जवाब प्रोसेस नहीं कर सके। कृपया सहायता से संपर्क करें।',
+        'label.orderId': 'ऑर्डर आईडी',
+        'label.transactionId': 'ट्रांज़ैक्शन आईडी',
+        'label.amountPaid': 'भुगतान की गई राशि',
+        'label.customer': 'ग्राहक',
+        'button.viewOrder': 'ऑर्डर विवरण देखें',
+        'button.downloadInvoice': 'इनवॉइस डाउनलोड करें',
+        'button.checkStatus': 'स्थिति देखें',
+        'button.returnToCart': 'कार्ट पर वापस जाएँ',
+        'button.close': 'विंडो बंद करें',
+        'support.heading': 'मदद चाहिए?',
+        'notAvailable': 'उपलब्ध नहीं'
+    }
+};
+
+const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+function matchLocale(tag) {
+    const language = String(tag || '').trim().toLowerCase().split('-')[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Picks the locale for a request: ?lang=, then Accept-Language by q-value.
+ */
+function pickLocale(req) {
+    const fromQuery = matchLocale(req.query?.lang);
+    if (fromQuery) return fromQuery;
+
+    const ranked = String(req.get?.('Accept-Language') || '')
+        .split(',')
+        .map((entry, position) => {
+            const [tag, ...params] = entry.split(';');
+            const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { locale: matchLocale(tag), q: q ? parseFloat(q.slice(2)) : 1, position };
+        })
+        .filter(candidate => candidate.locale && candidate.q > 0)
+        .sort((a, b) => b.q - a.q || a.position - b.position);
+
+    return ranked[0]?.locale || DEFAULT_LOCALE;
+}
+
+/**
+ * Returns t(key, params) for a locale, falling back to English for missing keys.
+ */
+function getTranslator(locale) {
+    const messages = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    return (key, params = {}) => {
+        const message = messages[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+    };
+}
+
+module.exports = { pickLocale, getTranslator, SUPPORTED_LOCALES, DEFAULT_LOCALE };
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * Stores responses by Idempotency-Key so a retried request gets the original
+ * response instead of starting a second payment.
+ *
+ * A key is claimed before the work starts (response still NULL), so a
+ * concurrent duplicate sees it as in progress. Keys expire after `ttlMs`.
+ */
+function createIdempotencyStore(db, { ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+            idempotency_key TEXT PRIMARY KEY,
+            request_hash    TEXT NOT NULL,
+            status_code     INTEGER,
+            response        TEXT,
+            created_at      TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys (created_at);
+    `);
+
+    const statements = {
+        purge: db.prepare('DELETE FROM idempotency_keys WHERE created_at < ?'),
+        get: db.prepare('SELECT * FROM idempotency_keys WHERE idempotency_key = ?'),
+        claim: db.prepare(`
+            INSERT INTO idempotency_keys (idempotency_key, request_hash, created_at)
+            VALUES (?, ?, ?)
+        `),
+        complete: db.prepare(`
+            UPDATE idempotency_keys SET status_code = ?, response = ? WHERE idempotency_key = ?
+        `),
+        release: db.prepare('DELETE FROM idempotency_keys WHERE idempotency_key = ?')
+    };
+
+    function hashRequest(body) {
+        return crypto.createHash('sha256').update(JSON.stringify(body ?? null)).digest('hex');
+    }
+
+    /**
+     * Claims a key for a request. Returns one of:
+     *   { state: 'claimed' }                            - first time; do the work
+     *   { state: 'replay', statusCode, response }       - finished before; send this
+     *   { state: 'in_progress' }                        - another request holds the key
+     *   { state: 'mismatch' }                           - key reused with a different body
+     */
+    const begin = db.transaction((key, body) => {
+        statements.purge.run(new Date(Date.now() - ttlMs).toISOString());
+
+        const requestHash = hashRequest(body);
+        const existing = statements.get.get(key);
+
+        if (!existing) {
+            statements.claim.run(key, requestHash, new Date().toISOString());
+            return { state: 'claimed' };
+        }
+        if (existing.request_hash !== requestHash) {
+            return { state: 'mismatch' };
+        }
+        if (existing.response === null) {
+            return { state: 'in_progress' };
+        }
+        return { state: 'replay', statusCode: existing.status_code, response: JSON.parse(existing.response) };
+    });
+
+    return {
+        begin: (key, body) => begin.immediate(key, body),
+        complete: (key, statusCode, response) => statements.complete.run(statusCode, JSON.stringify(response), key),
+        // Forget a claimed key so the request can be retried (used after unexpected errors)
+        release: key => statements.release.run(key)
+    };
+}
+
+module.exports = { createIdempotencyStore };
@@ -0,0 +1,273 @@
+const { getPaidAttempt } = require('./paymentAttempts');
+const { logger } = require('./logger');
+
+/**
+ * Stock levels and the reservations that keep limited products from being
+ * oversold.
+ *
+ * Only SKUs with a stock level are tracked; the rest of the catalog is
+ * unlimited. Available stock is what is on hand minus active reservations.
+ *
+ *   reserve()  holds a cart's tracked items for one payment attempt, before
+ *              PhonePe is called; an OutOfStockError means nothing was held
+ *   commit()   the attempt was paid: its items leave the shelf (on hand drops)
+ *   release()  the payment failed, expired or was cancelled
+ *
+ * A hold lapses by itself after `holdMs` (the reservation becomes EXPIRED),
+ * so a checkout whose outcome we never hear about cannot lock stock away.
+ * A payment that succeeds after its hold lapsed is still committed, even if
+ * that takes on hand below zero: the goods are sold and an admin has to
+ * sort it out, which the negative level and the log make visible.
+ */
+
+const log = logger.child({ component: 'inventory' });
+
+class OutOfStockError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'OutOfStockError';
+        this.details = details;
+    }
+}
+
+// Sums quantities per SKU, so a cart listing a product twice is held once
+function quantitiesBySku(items) {
+    const quantities = new Map();
+    for (const { sku, quantity } of items) {
+        quantities.set(sku, (quantities.get(sku) || 0) + quantity);
+    }
+    return quantities;
+}
+
+function createInventory(db, { holdMs = 30 * 60 * 1000 } = {}) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS stock_levels (
+            sku        TEXT PRIMARY KEY,
+            on_hand    INTEGER NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS stock_reservations (
+            id                      INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id                TEXT NOT NULL,
+            merchant_transaction_id TEXT NOT NULL,
+            sku                     TEXT NOT NULL,
+            quantity                INTEGER NOT NULL,
+            status                  TEXT NOT NULL,
+            created_at              TEXT NOT NULL,
+            expires_at              TEXT NOT NULL,
+            resolved_at             TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_stock_reservations_sku ON stock_reservations (sku, status);
+        CREATE INDEX IF NOT EXISTS idx_stock_reservations_attempt ON stock_reservations (merchant_transaction_id);
+        CREATE INDEX IF NOT EXISTS idx_stock_reservations_order ON stock_reservations (order_id, status);
+        CREATE TABLE IF NOT EXISTS stock_adjustments (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            sku        TEXT NOT NULL,
+            delta      INTEGER NOT NULL,
+            on_hand    INTEGER NOT NULL,
+            reason     TEXT,
+            actor      TEXT,
+            created_at TEXT NOT NULL
+        );
+    `);
+
+    const statements = {
+        getLevel: db.prepare('SELECT * FROM stock_levels WHERE sku = ?'),
+        listLevels: db.prepare('SELECT * FROM stock_levels ORDER BY sku'),
+        setLevel: db.prepare(`
+            INSERT INTO stock_levels (sku, on_hand, updated_at) VALUES (@sku, @onHand, @now)
+            ON CONFLICT (sku) DO UPDATE SET on_hand = excluded.on_hand, updated_at = excluded.updated_at
+        `),
+        deleteLevel: db.prepare('DELETE FROM stock_levels WHERE sku = ?'),
+        deduct: db.prepare('UPDATE stock_levels SET on_hand = on_hand - @quantity, updated_at = @now WHERE sku = @sku'),
+        reserved: db.prepare("SELECT COALESCE(SUM(quantity), 0) AS total FROM stock_reservations WHERE sku = ? AND status = 'RESERVED'"),
+        expireHolds: db.prepare(`
+            UPDATE stock_reservations SET status = 'EXPIRED', resolved_at = @now
+            WHERE status = 'RESERVED' AND expires_at <= @now
+        `),
+        insertReservation: db.prepare(`
+            INSERT INTO stock_reservations (order_id, merchant_transaction_id, sku, quantity, status, created_at, expires_at)
+            VALUES (@orderId, @merchantTransactionId, @sku, @quantity, 'RESERVED', @now, @expiresAt)
+        `),
+        attemptReservations: db.prepare("SELECT * FROM stock_reservations WHERE merchant_transaction_id = ? AND status != 'COMMITTED'"),
+        markCommitted: db.prepare("UPDATE stock_reservations SET status = 'COMMITTED', resolved_at = ? WHERE id = ?"),
+        releaseOrder: db.prepare(`
+            UPDATE stock_reservations SET status = 'RELEASED', resolved_at = @now
+            WHERE order_id = @orderId AND status = 'RESERVED'
+        `),
+        releaseAttempt: db.prepare(`
+            UPDATE stock_reservations SET status = 'RELEASED', resolved_at = @now
+            WHERE merchant_transaction_id = @merchantTransactionId AND status = 'RESERVED'
+        `),
+        releaseSku: db.prepare(`
+            UPDATE stock_reservations SET status = 'RELEASED', resolved_at = @now
+            WHERE sku = @sku AND status = 'RESERVED'
+        `),
+        activeReservations: db.prepare(`
+            SELECT order_id, merchant_transaction_id, quantity, created_at, expires_at FROM stock_reservations
+            WHERE sku = ? AND status = 'RESERVED' ORDER BY id
+        `),
+        insertAdjustment: db.prepare(`
+            INSERT INTO stock_adjustments (sku, delta, on_hand, reason, actor, created_at)
+            VALUES (@sku, @delta, @onHand, @reason, @actor, @now)
+        `),
+        recentAdjustments: db.prepare('SELECT * FROM stock_adjustments WHERE sku = ? ORDER BY id DESC LIMIT 20')
+    };
+
+    function expireHolds(now) {
+        const { changes } = statements.expireHolds.run({ now });
+        if (changes > 0) log.info('Stock holds expired', { reservations: changes });
+    }
+
+    function toLevel(row) {
+        const reserved = statements.reserved.get(row.sku).total;
+        return { sku: row.sku, onHand: row.on_hand, reserved, available: row.on_hand - reserved, updatedAt: row.updated_at };
+    }
+
+    /**
+     * Holds the tracked items of a priced cart ([{ sku, quantity }]) for a
+     * payment attempt. Throws OutOfStockError listing every short SKU with
+     * what is still available; nothing is held then.
+     */
+    const reserve = db.transaction(({ orderId, merchantTransactionId, items }) => {
+        const now = new Date().toISOString();
+        expireHolds(now);
+
+        const names = new Map(items.map(item => [item.sku, item.name || item.sku]));
+        const holds = [];
+        const shortages = [];
+        for (const [sku, quantity] of quantitiesBySku(items)) {
+            const row = statements.getLevel.get(sku);
+            if (!row) continue;
+
+            const { available } = toLevel(row);
+            if (quantity > available) {
+                shortages.push({ sku, name: names.get(sku), requested: quantity, available: Math.max(available, 0) });
+            }
+            holds.push({ sku, quantity });
+        }
+
+        if (shortages.length > 1) {
+            throw new OutOfStockError('Sorry, some items in your cart are out of stock.', { code: 'OUT_OF_STOCK', items: shortages });
+        }
+        if (shortages.length === 1) {
+            const [{ name, available }] = shortages;
+            const message = available > 0 ? `Sorry, only ${available} × ${name} left in stock.` : `Sorry, ${name} is out of stock.`;
+            throw new OutOfStockError(message, { code: 'OUT_OF_STOCK', items: shortages });
+        }
+
+        const expiresAt = new Date(Date.parse(now) + holdMs).toISOString();
+        for (const hold of holds) {
+            statements.insertReservation.run({ orderId, merchantTransactionId, ...hold, now, expiresAt });
+        }
+        return holds;
+    });
+
+    /**
+     * Takes a paid order's items off the shelf: the reservations of its paid
+     * attempt become COMMITTED. Safe to call on every status change.
+     */
+    const commit = db.transaction(order => {
+        const paidAttempt = getPaidAttempt(order);
+        if (!paidAttempt) return 0;
+
+        const now = new Date().toISOString();
+        const reservations = statements.attemptReservations.all(paidAttempt.merchantTransactionId);
+        for (const reservation of reservations) {
+            if (reservation.status !== 'RESERVED') {
+                log.warn('Committing stock for a payment whose hold had ended', {
+                    orderId: order.orderID, sku: reservation.sku, quantity: reservation.quantity, holdStatus: reservation.status
+                });
+            }
+            statements.deduct.run({ sku: reservation.sku, quantity: reservation.quantity, now });
+            statements.markCommitted.run(now, reservation.id);
+        }
+
+        if (reservations.length > 0) log.info('Stock committed', { orderId: order.orderID, skus: reservations.map(r => r.sku) });
+        return reservations.length;
+    });
+
+    /**
+     * Gives back whatever an order (or one attempt, by merchantTransactionId) still holds.
+     */
+    function release({ orderId, merchantTransactionId }) {
+        const now = new Date().toISOString();
+        const { changes } = merchantTransactionId
+            ? statements.releaseAttempt.run({ merchantTransactionId, now })
+            : statements.releaseOrder.run({ orderId, now });
+
+        if (changes > 0) log.info('Stock released', { orderId, merchantTransactionId, reservations: changes });
+        return changes;
+    }
+
+    function listLevels() {
+        expireHolds(new Date().toISOString());
+        return statements.listLevels.all().map(toLevel);
+    }
+
+    /**
+     * A SKU's level with its active holds and latest adjustments, or null if untracked.
+     */
+    function getLevel(sku) {
+        expireHolds(new Date().toISOString());
+        const row = statements.getLevel.get(sku);
+        if (!row) return null;
+
+        return {
+            ...toLevel(row),
+            reservations: statements.activeReservations.all(sku).map(reservation => ({
+                orderId: reservation.order_id,
+                merchantTransactionId: reservation.merchant_transaction_id,
+                quantity: reservation.quantity,
+                createdAt: reservation.created_at,
+                expiresAt: reservation.expires_at
+            })),
+            adjustments: statements.recentAdjustments.all(sku).map(adjustment => ({
+                delta: adjustment.delta,
+                onHand: adjustment.on_hand,
+                reason: adjustment.reason,
+                actor: adjustment.actor,
+                at: adjustment.created_at
+            }))
+        };
+    }
+
+    /**
+     * Sets a SKU's on-hand count (`onHand`) or moves it by `delta`, starting
+     * to track the SKU if needed, and records who did it and why.
+     */
+    const adjust = db.transaction((sku, { onHand, delta, reason = null, actor = null }) => {
+        const now = new Date().toISOString();
+        const current = statements.getLevel.get(sku)?.on_hand ?? 0;
+        const next = onHand ?? current + delta;
+
+        statements.setLevel.run({ sku, onHand: next, now });
+        statements.insertAdjustment.run({ sku, delta: next - current, onHand: next, reason, actor, now });
+        log.info('Stock adjusted', { sku, from: current, to: next, reason, actor });
+        return getLevel(sku);
+    });
+
+    /**
+     * Stops tracking a SKU; it becomes unlimited. Active holds are released.
+     */
+    const untrack = db.transaction(sku => {
+        const { changes } = statements.deleteLevel.run(sku);
+        if (changes > 0) {
+            statements.releaseSku.run({ sku, now: new Date().toISOString() });
+            log.info('Stock tracking stopped', { sku });
+        }
+        return changes > 0;
+    });
+
+    return {
+        reserve: options => reserve.immediate(options),
+        commit: order => commit.immediate(order),
+        release,
+        listLevels,
+        getLevel,
+        adjust: (sku, change) => adjust.immediate(sku, change),
+        untrack: sku => untrack.immediate(sku)
+    };
+}
+
+module.exports = { createInventory, OutOfStockError };
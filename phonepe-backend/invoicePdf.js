@@ -0,0 +1,133 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Renders an invoice snapshot (see invoices.js) as an A4 GST tax invoice.
+ * Amounts are printed as "Rs." because the built-in PDF fonts have no ₹ glyph.
+ */
+
+const MARGIN = 40;
+
+// Table columns: [heading, width, align]
+const INTRA_STATE_COLUMNS = [
+    ['#', 20, 'left'], ['Description', 150, 'left'], ['HSN', 40, 'left'], ['Qty', 30, 'right'],
+    ['Taxable', 65, 'right'], ['Rate', 35, 'right'], ['CGST', 55, 'right'], ['SGST', 55, 'right'], ['Total', 65, 'right']
+];
+const INTER_STATE_COLUMNS = [
+    ['#', 20, 'left'], ['Description', 180, 'left'], ['HSN', 45, 'left'], ['Qty', 30, 'right'],
+    ['Taxable', 70, 'right'], ['Rate', 40, 'right'], ['IGST', 65, 'right'], ['Total', 65, 'right']
+];
+
+function money(paise) {
+    return (paise / 100).toFixed(2);
+}
+
+function formatDate(iso) {
+    return new Date(iso).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+function drawRow(doc, columns, values, { bold = false } = {}) {
+    const y = doc.y;
+    let x = MARGIN;
+    let height = 0;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    columns.forEach(([, width, align], index) => {
+        const text = String(values[index] ?? '');
+        doc.text(text, x + 2, y, { width: width - 4, align });
+        height = Math.max(height, doc.heightOfString(text, { width: width - 4 }));
+        x += width;
+    });
+
+    doc.y = y + height + 6;
+    doc.moveTo(MARGIN, doc.y - 3).lineTo(x, doc.y - 3).lineWidth(0.5).strokeColor('#cccccc').stroke();
+}
+
+function drawParty(doc, title, lines, x, y, width) {
+    doc.font('Helvetica-Bold').fontSize(9).text(title, x, y, { width });
+    doc.font('Helvetica').fontSize(9);
+    lines.filter(Boolean).forEach(line => doc.text(line, { width }));
+    return doc.y;
+}
+
+function renderInvoicePdf(invoice) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Tax Invoice ${invoice.number}` } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { seller, buyer, totals } = invoice;
+        const intraState = invoice.taxType === 'INTRA_STATE';
+        const pageWidth = doc.page.width - MARGIN * 2;
+
+        doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', { align: 'center' });
+        doc.moveDown(0.8);
+
+        const top = doc.y;
+        const sellerBottom = drawParty(doc, seller.name || 'Seller', [
+            seller.address,
+            seller.gstin && `GSTIN: ${seller.gstin}`,
+            seller.state && `State: ${seller.state}${seller.stateCode ? ` (${seller.stateCode})` : ''}`
+        ], MARGIN, top, pageWidth / 2 - 10);
+
+        const metaBottom = drawParty(doc, `Invoice No: ${invoice.number}`, [
+            `Invoice Date: ${formatDate(invoice.issuedAt)}`,
+            `Order ID: ${invoice.orderId}`,
+            invoice.paymentId && `Payment Ref: ${invoice.paymentId}`,
+            invoice.placeOfSupply && `Place of Supply: ${invoice.placeOfSupply.state} (${invoice.placeOfSupply.code})`,
+            'Reverse Charge: No'
+        ], MARGIN + pageWidth / 2 + 10, top, pageWidth / 2 - 10);
+
+        doc.y = Math.max(sellerBottom, metaBottom) + 12;
+        drawParty(doc, 'Bill To / Ship To', [buyer.name, buyer.address, buyer.phone && `Phone: ${buyer.phone}`, buyer.email], MARGIN, doc.y, pageWidth);
+        doc.moveDown(1);
+
+        const columns = intraState ? INTRA_STATE_COLUMNS : INTER_STATE_COLUMNS;
+        drawRow(doc, columns, columns.map(([heading]) => heading), { bold: true });
+
+        invoice.lines.forEach((line, index) => {
+            const tax = intraState ? [money(line.cgst), money(line.sgst)] : [money(line.igst)];
+            drawRow(doc, columns, [
+                index + 1,
+                `${line.description}${line.sku ? ` (${line.sku})` : ''}`,
+                line.hsn,
+                line.quantity,
+                money(line.taxableAmount),
+                `${line.taxRate}%`,
+                ...tax,
+                money(line.total)
+            ]);
+        });
+
+        doc.moveDown(0.5);
+        const summary = [
+            ['Taxable value', totals.taxable],
+            ...(intraState ? [['CGST', totals.cgst], ['SGST', totals.sgst]] : [['IGST', totals.igst]]),
+            ['Shipping', totals.shipping],
+            ['Grand Total', totals.grandTotal]
+        ];
+        summary.forEach(([label, amount], index) => {
+            const last = index === summary.length - 1;
+            const y = doc.y;
+            doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(last ? 10 : 9);
+            doc.text(label, MARGIN + pageWidth - 220, y, { width: 120 });
+            doc.text(`Rs. ${money(amount)}`, MARGIN + pageWidth - 100, y, { width: 100, align: 'right' });
+            doc.moveDown(0.3);
+        });
+
+        doc.moveDown(2);
+        doc.font('Helvetica').fontSize(9)
+            .text(`For ${seller.name || 'the seller'}`, MARGIN, doc.y, { width: pageWidth, align: 'right' })
+            .moveDown(2)
+            .text('Authorised Signatory', { width: pageWidth, align: 'right' });
+
+        doc.moveDown(2);
+        doc.fontSize(7).fillColor('#666666')
+            .text('This is a computer-generated invoice and does not require a physical signature.', MARGIN, doc.y, { width: pageWidth, align: 'center' });
+
+        doc.end();
+    });
+}
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { renderInvoicePdf } = require('./invoicePdf');
+const { isPaid } = require('./paymentAttempts');
+const { logger } = require('./logger');
+
+/**
+ * GST tax invoices for paid orders.
+ *
+ * issue() gives an order its invoice once: the next number in the financial
+ * year's sequence (INV/2026-27/000001, April to March in IST) and a snapshot
+ * of seller, buyer and tax lines, stored on `order.invoice` so the document
+ * never changes afterwards. Tax is split into CGST + SGST when the place of
+ * supply (the shipping state) is the seller's state, IGST otherwise.
+ *
+ * send() renders the PDF and emails it over SMTP, recording the outcome on
+ * `order.invoice.email`. Without SMTP config emails are skipped.
+ *
+ * Download links are signed so customers can fetch their invoice without an account.
+ */
+
+const log = logger.child({ component: 'invoices' });
+
+// GST state codes, keyed by lower-cased state / union territory name
+const GST_STATE_CODES = {
+    'jammu and kashmir': '01', 'himachal pradesh': '02', 'punjab': '03', 'chandigarh': '04',
+    'uttarakhand': '05', 'haryana': '06', 'delhi': '07', 'rajasthan': '08', 'uttar pradesh': '09',
+    'bihar': '10', 'sikkim': '11', 'arunachal pradesh': '12', 'nagaland': '13', 'manipur': '14',
+    'mizoram': '15', 'tripura': '16', 'meghalaya': '17', 'assam': '18', 'west bengal': '19',
+    'jharkhand': '20', 'odisha': '21', 'chhattisgarh': '22', 'madhya pradesh': '23', 'gujarat': '24',
+    'dadra and nagar haveli and daman and diu': '26', 'maharashtra': '27', 'karnataka': '29',
+    'goa': '30', 'lakshadweep': '31', 'kerala': '32', 'tamil nadu': '33', 'puducherry': '34',
+    'andaman and nicobar islands': '35', 'telangana': '36', 'andhra pradesh': '37', 'ladakh': '38'
+};
+
+/**
+ * Resolves a state name or two-digit GST code to { state, code }, or null.
+ */
+function resolveState(value) {
+    const input = String(value || '').trim();
+    if (!input) return null;
+
+    const byCode = Object.entries(GST_STATE_CODES).find(([, code]) => code === input.padStart(2, '0'));
+    if (/^\d{1,2}$/.test(input)) {
+        return byCode ? { state: titleCase(byCode[0]), code: byCode[1] } : null;
+    }
+
+    const code = GST_STATE_CODES[input.toLowerCase()];
+    return code ? { state: titleCase(input.toLowerCase()), code } : null;
+}
+
+function titleCase(value) {
+    return value.replace(/\b(\w)(\w*)/g, (word, first, rest) => ['and'].includes(word) ? word : first.toUpperCase() + rest);
+}
+
+/**
+ * Indian financial year (April to March, IST) for a date, e.g. '2026-27'.
+ */
+function getFinancialYear(date) {
+    const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+}
+
+/**
+ * Splits a line's tax into CGST/SGST halves (intra-state) or IGST (inter-state).
+ */
+function splitTax(taxAmount, intraState) {
+    if (!intraState) return { cgst: 0, sgst: 0, igst: taxAmount };
+
+    const cgst = Math.floor(taxAmount / 2);
+    return { cgst, sgst: taxAmount - cgst, igst: 0 };
+}
+
+function buildInvoice(order, { number, financialYear, issuedAt, seller }) {
+    const address = order.shippingAddress || {};
+    const sellerState = resolveState(seller.state) || resolveState(seller.gstin?.slice(0, 2));
+    // B2C orders without a usable shipping state are supplied from the seller's state
+    const placeOfSupply = resolveState(address.state || order.state) || sellerState;
+    const intraState = placeOfSupply?.code === sellerState?.code;
+
+    const lines = order.pricing.items.map(item => ({
+        description: item.name,
+        sku: item.sku,
+        hsn: item.hsn,
+        quantity: item.quantity,
+        unitPrice: Math.round(item.taxableAmount / item.quantity),
+        taxableAmount: item.taxableAmount,
+        taxRate: item.taxRate,
+        ...splitTax(item.taxAmount, intraState),
+        total: item.lineTotal
+    }));
+
+    const sum = field => lines.reduce((total, line) => total + line[field], 0);
+
+    return {
+        number,
+        financialYear,
+        issuedAt,
+        orderId: order.orderID,
+        paymentId: order.phonepeTransactionId || null,
+        seller: { ...seller, state: sellerState?.state || seller.state, stateCode: sellerState?.code || null },
+        buyer: {
+            name: order.name,
+            phone: order.phone,
+            email: order.email || null,
+            address: [address.line1, address.line2, address.city, address.pincode].filter(Boolean).join(', ')
+        },
+        placeOfSupply,
+        taxType: intraState ? 'INTRA_STATE' : 'INTER_STATE',
+        lines,
+        totals: {
+            taxable: sum('taxableAmount'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            tax: sum('cgst') + sum('sgst') + sum('igst'),
+            shipping: order.pricing.shipping,
+            grandTotal: order.pricing.total
+        },
+        email: { status: 'PENDING', attempts: 0 }
+    };
+}
+
+function createInvoiceService({ db, orderRepository, seller, prefix = 'INV', smtp, mailFrom, linkSecret, publicBaseUrl }) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS invoice_sequences (
+            financial_year TEXT PRIMARY KEY,
+            last_number    INTEGER NOT NULL
+        );
+    `);
+
+    const statements = {
+        next: db.prepare(`
+            INSERT INTO invoice_sequences (financial_year, last_number) VALUES (?, 1)
+            ON CONFLICT (financial_year) DO UPDATE SET last_number = last_number + 1
+            RETURNING last_number
+        `)
+    };
+
+    if (!linkSecret) {
+        linkSecret = crypto.randomBytes(32).toString('hex');
+        log.warn('INVOICE_LINK_SECRET not set, invoice download links will not survive a restart');
+    }
+
+    const transport = smtp ? nodemailer.createTransport(smtp) : null;
+
+    function downloadToken(orderId) {
+        return crypto.createHmac('sha256', linkSecret).update(`invoice:${orderId}`).digest('base64url');
+    }
+
+    function verifyDownloadToken(orderId, token) {
+        const expected = Buffer.from(downloadToken(orderId));
+        const actual = Buffer.from(String(token || ''));
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    function getDownloadUrl(orderId) {
+        return `${publicBaseUrl}/orders/${encodeURIComponent(orderId)}/invoice?token=${downloadToken(orderId)}`;
+    }
+
+    /**
+     * Assigns the order its invoice number and snapshot, if it is paid and has
+     * none yet. The number comes from the same transaction as the order update,
+     * so numbers are never skipped or reused. Returns the order (null if missing).
+     */
+    function issue(orderId) {
+        return orderRepository.update(orderId, current => {
+            if (current.invoice || !isPaid(current) || !current.pricing) return false;
+
+            const issuedAt = new Date();
+            const financialYear = getFinancialYear(issuedAt);
+            const { last_number: sequence } = statements.next.get(financialYear);
+
+            current.invoice = buildInvoice(current, {
+                number: `${prefix}/${financialYear}/${String(sequence).padStart(6, '0')}`,
+                financialYear,
+                issuedAt: issuedAt.toISOString(),
+                seller
+            });
+            log.info('Invoice issued', { orderId, invoiceNumber: current.invoice.number });
+        });
+    }
+
+    function recordEmail(orderId, email) {
+        return orderRepository.update(orderId, current => {
+            current.invoice.email = { ...current.invoice.email, ...email, attempts: (current.invoice.email?.attempts || 0) + 1 };
+        });
+    }
+
+    /**
+     * Emails the invoice PDF to the customer. Returns the email record.
+     */
+    async function send(orderId) {
+        const order = orderRepository.getById(orderId);
+        if (!order?.invoice) throw new Error(`Order ${orderId} has no invoice`);
+
+        const to = order.email;
+        if (!to || !transport) {
+            const reason = !to ? 'Order has no email address' : 'SMTP is not configured';
+            log.info('Invoice not emailed', { orderId, invoiceNumber: order.invoice.number, reason });
+            return recordEmail(orderId, { status: 'SKIPPED', lastError: reason }).invoice.email;
+        }
+
+        try {
+            const pdf = await renderInvoicePdf(order.invoice);
+            await transport.sendMail({
+                from: mailFrom,
+                to,
+                subject: `Invoice ${order.invoice.number} for order ${order.orderID}`,
+                text: [
+                    `Hi ${order.name || ''},`,
+                    '',
+                    `Thank you for your order ${order.orderID}. Your tax invoice ${order.invoice.number} is attached.`,
+                    `You can also download it here: ${getDownloadUrl(order.orderID)}`,
+                    '',
+                    seller.name
+                ].join('\n'),
+                attachments: [{ filename: invoiceFilename(order.invoice), content: pdf, contentType: 'application/pdf' }]
+            });
+
+            log.info('Invoice emailed', { orderId, invoiceNumber: order.invoice.number, email: to });
+            return recordEmail(orderId, { status: 'SENT', to, sentAt: new Date().toISOString(), lastError: null }).invoice.email;
+        } catch (error) {
+            log.error('Invoice email failed', { orderId, invoiceNumber: order.invoice.number, error });
+            return recordEmail(orderId, { status: 'FAILED', to, lastError: error.message }).invoice.email;
+        }
+    }
+
+    /**
+     * Issues the invoice for a newly paid order and emails it in the background.
+     * Returns the order with its invoice; an invoicing error never fails the payment.
+     */
+    function handlePaidOrder(order) {
+        let updated;
+        try {
+            updated = issue(order.orderID);
+        } catch (error) {
+            log.error('Could not issue invoice', { orderId: order.orderID, error });
+            return order;
+        }
+
+        // Only the call that issued the invoice sends it; re-sends go through the admin
+        if (updated?.invoice && updated.invoice.number !== order.invoice?.number) {
+            send(order.orderID).catch(error => log.error('Invoice email failed', { orderId: order.orderID, error }));
+        }
+        return updated || order;
+    }
+
+    return {
+        issue,
+        send,
+        handlePaidOrder,
+        render: invoice => renderInvoicePdf(invoice),
+        verifyDownloadToken,
+        getDownloadUrl,
+        emailEnabled: Boolean(transport)
+    };
+}
+
+function invoiceFilename(invoice) {
+    return `${invoice.number.replace(/\//g, '-')}.pdf`;
+}
+
+module.exports = { createInvoiceService, getFinancialYear, resolveState, splitTax, invoiceFilename };
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logging.
+ *
+ * Every line is one JSON object: { time, level, msg, ...context, ...fields }.
+ * The context comes from the current request (correlationId, and the
+ * merchantTransactionId once a handler knows it) or from runWithLogContext()
+ * for background work, so every line about a payment can be found by its id.
+ *
+ * Customer data and credentials are masked before anything is written: phone
+ * numbers, names, emails and addresses by key, anything that looks like an
+ * Indian mobile number inside strings, and checksums, salts, secrets,
+ * passwords and tokens are dropped.
+ *
+ * LOG_LEVEL: debug | info | warn | error | silent (default debug, info in production)
+ * LOG_FORMAT: json (default) | pretty for local development
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged
+const SECRET_KEY = /^(x-verify|authorization|cookie|set-cookie|request)$|salt(key)?$|secret|password|passwd|token$|checksum/i;
+// Keys holding customer data, with how to mask them
+const PHONE_KEY = /phone|mobile/i;
+const NAME_KEY = /^(name|customerName|buyerName|fullName|firstName|lastName)$/i;
+// UPI IDs (name@bank) are masked like emails
+const EMAIL_KEY = /email|^vpa$/i;
+const ADDRESS_KEY = /address|^line[12]$/i;
+const MERCHANT_ID_KEY = /^(merchantId|x-merchant-id)$/i;
+
+// 10-digit Indian mobile numbers, optionally prefixed with +91 / 91 / 0
+const PHONE_PATTERN = /(?<!\d)(?:\+?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/g;
+
+const MAX_DEPTH = 8;
+
+const contextStorage = new AsyncLocalStorage();
+
+function maskPhone(value) {
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length >= 4 ? `******${digits.slice(-4)}` : REDACTED;
+}
+
+function maskName(value) {
+    const text = String(value).trim();
+    return text ? `${text[0]}***` : text;
+}
+
+function maskEmail(value) {
+    const [local, domain] = String(value).split('@');
+    return domain ? `${local[0] || ''}***@${domain}` : REDACTED;
+}
+
+function maskMerchantId(value) {
+    const text = String(value);
+    return text.length > 4 ? `${text.slice(0, 4)}***` : '***';
+}
+
+function scrubText(text) {
+    return text.replace(PHONE_PATTERN, maskPhone);
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: scrubText(String(error.message)),
+        ...(error.code && { code: error.code }),
+        ...(error.stack && { stack: scrubText(error.stack) })
+    };
+}
+
+/**
+ * Returns a copy of `value` that is safe to log.
+ */
+function redact(value, key = '', depth = 0, seen = new WeakSet()) {
+    if (value === null || value === undefined) return value;
+
+    if (key) {
+        if (SECRET_KEY.test(key)) return REDACTED;
+        if (typeof value !== 'object') {
+            if (PHONE_KEY.test(key)) return maskPhone(value);
+            if (NAME_KEY.test(key)) return maskName(value);
+            if (EMAIL_KEY.test(key)) return maskEmail(value);
+            if (MERCHANT_ID_KEY.test(key)) return maskMerchantId(value);
+        }
+        if (ADDRESS_KEY.test(key)) return REDACTED;
+    }
+
+    if (typeof value === 'string') return scrubText(value);
+    if (typeof value !== 'object') return value;
+    if (value instanceof Error) return serializeError(value);
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map(item => redact(item, '', depth + 1, seen));
+
+    const copy = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+        copy[childKey] = redact(childValue, childKey, depth + 1, seen);
+    }
+    return copy;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${extra}`;
+}
+
+/**
+ * Creates a logger. `bindings` are added to every line; child() adds more.
+ */
+function createLogger({ level = 'info', format = 'json', stream = process.stdout, bindings = {} } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    function write(entryLevel, msg, fields) {
+        if (LEVELS[entryLevel] < threshold) return;
+
+        // An Error passed on its own becomes the `error` field
+        const extra = fields instanceof Error ? { error: fields } : fields;
+        const entry = redact({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...bindings,
+            ...contextStorage.getStore(),
+            ...extra
+        });
+        stream.write(`${format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+    }
+
+    return {
+        level,
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        isLevelEnabled: candidate => LEVELS[candidate] >= threshold,
+        child: extra => createLogger({ level, format, stream, bindings: { ...bindings, ...extra } })
+    };
+}
+
+/**
+ * Runs `fn` with `fields` added to every log line it writes, including from
+ * callbacks and awaits it starts.
+ */
+function runWithLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Adds fields to the current request's (or runWithLogContext's) log context.
+ */
+function setLogContext(fields) {
+    const store = contextStorage.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
+    format: process.env.LOG_FORMAT || 'json'
+});
+
+const CORRELATION_HEADER = 'X-Request-Id';
+const VALID_CORRELATION_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware: gives each request a correlation id (the caller's
+ * X-Request-Id if it sent a sane one), echoes it in the response header and
+ * logs the request once it completes.
+ */
+function requestLogger(req, res, next) {
+    const incoming = req.get(CORRELATION_HEADER);
+    const correlationId = incoming && VALID_CORRELATION_ID.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.correlationId = correlationId;
+    res.set(CORRELATION_HEADER, correlationId);
+
+    runWithLogContext({ correlationId }, () => {
+        const context = contextStorage.getStore();
+
+        res.on('finish', () => {
+            runWithLogContext(context, () => {
+                logger[res.statusCode >= 500 ? 'error' : 'info']('Request completed', {
+                    method: req.method,
+                    path: req.path,
+                    status: res.statusCode,
+                    durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n)
+                });
+            });
+        });
+
+        next();
+    });
+}
+
+module.exports = {
+    logger,
+    createLogger,
+    redact,
+    requestLogger,
+    runWithLogContext,
+    setLogContext,
+    CORRELATION_HEADER
+};
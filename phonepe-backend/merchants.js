@@ -0,0 +1,281 @@
+const fs = require('fs');
+const { createPhonePeGateway } = require('./phonepeGateway');
+
+/**
+ * Merchant registry: one entry per storefront, each with its own PhonePe
+ * credentials, redirect URL, frontend URL and Google Sheets target.
+ *
+ * Configured with MERCHANTS (a JSON array) or MERCHANTS_FILE (a path to one):
+ *
+ *   [{ "id": "oils", "merchantId": "M1", "saltKeys": { "1": "old", "2": "new" }, "saltIndex": "2",
+ *      "redirectUrl": "https://api.example.com/payment-callback",
+ *      "frontendUrl": "https://oils.example.com", "googleSheetsUrl": "https://script.google.com/..." },
+ *    { "id": "diffusers", "apiVersion": "v2", "clientId": "...", "clientSecret": "...",
+ *      "clientVersion": "1", "callbackUsername": "...", "callbackPassword": "...", ... }]
+ *
+ * The first entry is the default storefront. Without MERCHANTS the
+ * single-merchant PHONEPE_* variables describe one storefront, "default".
+ *
+ * Branding on the payment result pages (storeName, logoUrl, primaryColor,
+ * supportEmail, supportPhone) comes from STORE_NAME, STORE_LOGO_URL,
+ * STORE_PRIMARY_COLOR, SUPPORT_EMAIL and SUPPORT_PHONE; an entry's
+ * `branding` object overrides any of them for that storefront.
+ *
+ * Salt rotation (v1): `saltKeys` holds every key PhonePe still accepts, by
+ * index, and `saltIndex` is the one requests are signed with. Callbacks are
+ * checked against the key named by their X-VERIFY `###index`, so during a
+ * rotation both the old and the new index are accepted.
+ */
+
+const DEFAULT_REDIRECT_URL = 'http://localhost:3000/payment-callback';
+const DEFAULT_FRONTEND_URL = 'http://localhost:5500';
+const DEFAULT_BRANDING = {
+    storeName: '',
+    logoUrl: '',
+    primaryColor: '#0288d1',
+    supportEmail: '',
+    supportPhone: ''
+};
+
+// Env variable behind each field of the single-merchant config, for error messages
+const ENV_NAMES = {
+    apiVersion: 'PHONEPE_API_VERSION',
+    merchantId: 'PHONEPE_MERCHANT_ID',
+    saltKeys: 'PHONEPE_SALT_KEY or PHONEPE_SALT_KEYS',
+    saltIndex: 'PHONEPE_SALT_INDEX',
+    clientId: 'PHONEPE_CLIENT_ID',
+    clientSecret: 'PHONEPE_CLIENT_SECRET',
+    clientVersion: 'PHONEPE_CLIENT_VERSION',
+    callbackUsername: 'PHONEPE_CALLBACK_USERNAME',
+    callbackPassword: 'PHONEPE_CALLBACK_PASSWORD',
+    redirectUrl: 'REDIRECT_URL',
+    frontendUrl: 'FRONTEND_URL',
+    googleSheetsUrl: 'GOOGLE_SHEETS_URL'
+};
+
+class MerchantConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid merchant configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'MerchantConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Parses PHONEPE_SALT_KEYS ("1:key,2:key") into { index: key }.
+ */
+function parseSaltKeys(value) {
+    const keys = {};
+    for (const entry of String(value || '').split(',')) {
+        const separator = entry.indexOf(':');
+        if (separator > 0) keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+    return keys;
+}
+
+function readBranding(env) {
+    const branding = {
+        storeName: env.STORE_NAME || env.SELLER_NAME,
+        logoUrl: env.STORE_LOGO_URL,
+        primaryColor: env.STORE_PRIMARY_COLOR,
+        supportEmail: env.SUPPORT_EMAIL,
+        supportPhone: env.SUPPORT_PHONE
+    };
+    return Object.fromEntries(Object.entries(branding).filter(([, value]) => value));
+}
+
+/**
+ * Reads the raw merchant list from the environment.
+ */
+function readMerchantConfigs(env = process.env) {
+    const branding = readBranding(env);
+
+    if (env.MERCHANTS || env.MERCHANTS_FILE) {
+        const json = env.MERCHANTS || fs.readFileSync(env.MERCHANTS_FILE, 'utf8');
+        let configs;
+        try {
+            configs = JSON.parse(json);
+        } catch (error) {
+            throw new MerchantConfigError([`${env.MERCHANTS ? 'MERCHANTS' : env.MERCHANTS_FILE} is not valid JSON: ${error.message}`]);
+        }
+        if (!Array.isArray(configs) || configs.length === 0) {
+            throw new MerchantConfigError(['MERCHANTS must be a non-empty JSON array']);
+        }
+        return configs.map(config => ({ ...config, branding: { ...branding, ...config?.branding } }));
+    }
+
+    return [{
+        id: 'default',
+        fromEnv: true,
+        apiVersion: env.PHONEPE_API_VERSION,
+        baseUrl: env.PHONEPE_BASE_URL,
+        merchantId: env.PHONEPE_MERCHANT_ID,
+        saltKey: env.PHONEPE_SALT_KEY,
+        saltKeys: parseSaltKeys(env.PHONEPE_SALT_KEYS),
+        saltIndex: env.PHONEPE_SALT_INDEX,
+        clientId: env.PHONEPE_CLIENT_ID,
+        clientSecret: env.PHONEPE_CLIENT_SECRET,
+        clientVersion: env.PHONEPE_CLIENT_VERSION,
+        authUrl: env.PHONEPE_AUTH_URL,
+        callbackUsername: env.PHONEPE_CALLBACK_USERNAME,
+        callbackPassword: env.PHONEPE_CALLBACK_PASSWORD,
+        redirectUrl: env.REDIRECT_URL,
+        refundCallbackUrl: env.REFUND_CALLBACK_URL,
+        frontendUrl: env.FRONTEND_URL,
+        googleSheetsUrl: env.GOOGLE_SHEETS_URL,
+        branding
+    }];
+}
+
+function normalizeMerchant(config) {
+    const apiVersion = config.apiVersion || 'v1';
+    const saltIndex = String(config.saltIndex || '1');
+    const saltKeys = { ...config.saltKeys };
+    if (config.saltKey) saltKeys[saltIndex] = config.saltKey;
+
+    const redirectUrl = config.redirectUrl || DEFAULT_REDIRECT_URL;
+
+    return {
+        ...config,
+        id: config.id === undefined ? '' : String(config.id),
+        apiVersion,
+        saltKeys,
+        saltIndex,
+        redirectUrl,
+        refundCallbackUrl: config.refundCallbackUrl || '',
+        frontendUrl: config.frontendUrl || DEFAULT_FRONTEND_URL,
+        googleSheetsUrl: config.googleSheetsUrl || '',
+        branding: { ...DEFAULT_BRANDING, ...config.branding }
+    };
+}
+
+function isUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Lists every problem with a set of normalized merchants (empty if none).
+ */
+function validateMerchants(merchants) {
+    const problems = [];
+    const seen = new Set();
+
+    merchants.forEach((merchant, position) => {
+        const label = merchant.id ? `merchant "${merchant.id}"` : `merchant #${position + 1}`;
+        const missing = field => problems.push(`${label}: ${field} is missing${merchant.fromEnv ? ` (set ${ENV_NAMES[field]})` : ''}`);
+
+        if (!/^[\w-]+$/.test(merchant.id)) problems.push(`${label}: id must be letters, digits, "-" or "_"`);
+        if (seen.has(merchant.id)) problems.push(`${label}: duplicate id`);
+        seen.add(merchant.id);
+
+        if (merchant.apiVersion === 'v1') {
+            if (!merchant.merchantId) missing('merchantId');
+            if (Object.keys(merchant.saltKeys).length === 0) {
+                missing('saltKeys');
+            } else if (!merchant.saltKeys[merchant.saltIndex]) {
+                problems.push(`${label}: no salt key for the active saltIndex ${merchant.saltIndex}`);
+            }
+        } else if (merchant.apiVersion === 'v2') {
+            ['clientId', 'clientSecret', 'clientVersion', 'callbackUsername', 'callbackPassword']
+                .filter(field => !merchant[field])
+                .forEach(missing);
+        } else {
+            problems.push(`${label}: unknown apiVersion "${merchant.apiVersion}"`);
+        }
+
+        for (const field of ['redirectUrl', 'frontendUrl', 'refundCallbackUrl', 'baseUrl', 'authUrl', 'googleSheetsUrl']) {
+            if (merchant[field] && !isUrl(merchant[field])) problems.push(`${label}: ${field} is not a valid URL`);
+        }
+
+        // Both end up in the page's markup and CSS
+        if (merchant.branding.logoUrl && !isUrl(merchant.branding.logoUrl)) {
+            problems.push(`${label}: branding.logoUrl is not a valid URL`);
+        }
+        if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(merchant.branding.primaryColor)) {
+            problems.push(`${label}: branding.primaryColor must be a hex colour like #0288d1`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Validates the merchant configs and builds a PhonePe gateway for each.
+ * Throws a MerchantConfigError listing every problem found. `onApiCall` is
+ * handed to every gateway (see phonepeGateway.js).
+ */
+function createMerchantRegistry(configs, { createGateway = createPhonePeGateway, onApiCall } = {}) {
+    const merchants = configs.map(normalizeMerchant);
+    const problems = validateMerchants(merchants);
+    if (problems.length > 0) throw new MerchantConfigError(problems);
+
+    for (const merchant of merchants) {
+        // Derived only once the redirect URL is known to be valid
+        merchant.refundCallbackUrl = merchant.refundCallbackUrl || merchant.redirectUrl.replace(/\/payment-callback$/, '/refund-callback');
+        merchant.gateway = createGateway({ ...merchant, onApiCall });
+    }
+
+    const byId = new Map(merchants.map(merchant => [merchant.id, merchant]));
+    const defaultMerchant = merchants[0];
+
+    return {
+        default: defaultMerchant,
+
+        list: () => merchants,
+
+        get: id => byId.get(id) || null,
+
+        // Orders from before storefronts existed belong to the default one
+        forOrder: order => byId.get(order.storefront) || defaultMerchant,
+
+        // Re-checks the loaded config for the readiness probe; problems name fields, never values
+        checkConfig: () => [
+            ...validateMerchants(merchants),
+            ...merchants.filter(merchant => !merchant.gateway).map(merchant => `merchant "${merchant.id}": no gateway`)
+        ],
+
+        /**
+         * Checks an S2S callback against every merchant. Returns null if no
+         * gateway recognises it, otherwise { valid, type, response, merchantIds }
+         * where merchantIds lists the merchants whose credentials it matched.
+         */
+        verifyCallback(headers, body) {
+            let recognised = false;
+            let match = null;
+            const merchantIds = [];
+
+            for (const merchant of merchants) {
+                const callback = merchant.gateway.parseCallback(headers, body);
+                if (!callback) continue;
+
+                recognised = true;
+                if (callback.valid) {
+                    match = match || callback;
+                    merchantIds.push(merchant.id);
+                }
+            }
+
+            if (!recognised) return null;
+            return match ? { ...match, merchantIds } : { valid: false, merchantIds };
+        }
+    };
+}
+
+/**
+ * Loads, validates and builds the registry from the environment.
+ */
+function loadMerchants(env = process.env, options = {}) {
+    return createMerchantRegistry(readMerchantConfigs(env), options);
+}
+
+module.exports = {
+    loadMerchants,
+    createMerchantRegistry,
+    readMerchantConfigs,
+    parseSaltKeys,
+    MerchantConfigError
+};
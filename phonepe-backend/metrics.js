@@ -0,0 +1,68 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics, served at /metrics.
+ *
+ *   phonepe_payments_created_total{storefront}       payments PhonePe accepted
+ *   phonepe_payments_paid_total{storefront}          orders that became PAID
+ *   phonepe_payments_failed_total{storefront,status} orders that became FAILED or EXPIRED
+ *   phonepe_payments_pending{storefront}             orders waiting on PhonePe right now
+ *   phonepe_callback_checksum_failures_total{type}   rejected payment / refund callbacks
+ *   phonepe_outbox_delivery_failures_total{destination,type}  failed Sheets / webhook deliveries
+ *   phonepe_api_request_duration_seconds{endpoint,method,status}  PhonePe API latency
+ *
+ * plus the default Node.js process metrics. Only ids and counts are exported,
+ * never customer data or credentials.
+ */
+
+function createMetrics({ countPendingOrders = () => ({}) } = {}) {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry });
+
+    const counter = (name, help, labelNames) => new client.Counter({ name, help, labelNames, registers: [registry] });
+
+    const paymentsCreated = counter('phonepe_payments_created_total', 'Payments accepted by PhonePe', ['storefront']);
+    const paymentsPaid = counter('phonepe_payments_paid_total', 'Orders that became PAID', ['storefront']);
+    const paymentsFailed = counter('phonepe_payments_failed_total', 'Orders that became FAILED or EXPIRED', ['storefront', 'status']);
+    const checksumFailures = counter('phonepe_callback_checksum_failures_total', 'Callbacks rejected for an invalid checksum or credentials', ['type']);
+    const deliveryFailures = counter('phonepe_outbox_delivery_failures_total', 'Failed outbox deliveries (Google Sheets, webhooks)', ['destination', 'type']);
+
+    new client.Gauge({
+        name: 'phonepe_payments_pending',
+        help: 'Orders in PAYMENT_PENDING',
+        labelNames: ['storefront'],
+        registers: [registry],
+        collect() {
+            this.reset();
+            for (const [storefront, total] of Object.entries(countPendingOrders())) {
+                this.set({ storefront }, total);
+            }
+        }
+    });
+
+    const apiLatency = new client.Histogram({
+        name: 'phonepe_api_request_duration_seconds',
+        help: 'PhonePe API request duration',
+        labelNames: ['endpoint', 'method', 'status'],
+        buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+        registers: [registry]
+    });
+
+    return {
+        paymentsCreated,
+        paymentsPaid,
+        paymentsFailed,
+        checksumFailures,
+        deliveryFailures,
+
+        // Gateway hook: one call per PhonePe request
+        observePhonePeCall({ endpoint, method, status, seconds }) {
+            apiLatency.observe({ endpoint, method, status }, seconds);
+        },
+
+        contentType: registry.contentType,
+        render: () => registry.metrics()
+    };
+}
+
+module.exports = { createMetrics };
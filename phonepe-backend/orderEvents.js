@@ -0,0 +1,111 @@
+const { isPaid, getCurrentAttempt, getPaidAttempt } = require('./paymentAttempts');
+const { logger } = require('./logger');
+
+/**
+ * Live order status for the checkout page, as Server-Sent Events.
+ *
+ * open() turns a request into a stream for one order: it sends a `snapshot`
+ * event with the current status right away, then a `status` event every time
+ * publish() is called for that order, and a heartbeat comment in between so
+ * proxies keep the connection open. Once the order reaches a final state
+ * (paid, failed, expired or cancelled) the last event has `final: true` and
+ * the stream ends; EventSource clients should close() on it rather than
+ * reconnect. Streams also end after `maxDurationMs`.
+ *
+ * Events only carry status and payment references, never customer details.
+ * Subscribers are kept in memory, so this works for one server process.
+ */
+
+const log = logger.child({ component: 'order-events' });
+
+const FINAL_STATUSES = ['FAILED', 'EXPIRED', 'CANCELLED'];
+
+// Tells EventSource how long to wait before reconnecting after a dropped connection
+const RETRY_MS = 5000;
+
+function isFinal(order) {
+    return isPaid(order) || FINAL_STATUSES.includes(order.status);
+}
+
+function toEvent(order) {
+    const attempt = getCurrentAttempt(order);
+    return {
+        orderId: order.orderID,
+        status: order.status,
+        final: isFinal(order),
+        amount: order.totalAmount,
+        merchantTransactionId: attempt.merchantTransactionId,
+        attemptStatus: attempt.status,
+        phonepeTransactionId: getPaidAttempt(order)?.phonepeTransactionId || null,
+        updatedAt: order.updatedAt || order.createdAt
+    };
+}
+
+function createOrderEvents({ heartbeatMs = 15000, maxDurationMs = 30 * 60 * 1000 } = {}) {
+    // orderId -> Set of open streams
+    const streams = new Map();
+
+    function send(stream, event, data) {
+        stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function close(stream) {
+        clearInterval(stream.heartbeat);
+        clearTimeout(stream.expiry);
+
+        const subscribers = streams.get(stream.orderId);
+        subscribers?.delete(stream);
+        if (subscribers?.size === 0) streams.delete(stream.orderId);
+
+        stream.res.end();
+    }
+
+    /**
+     * Streams the order's status to the response until it is final, the
+     * client goes away or the stream has been open for maxDurationMs.
+     */
+    function open(req, res, order) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Stops nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const stream = { orderId: order.orderID, res };
+        send(stream, 'snapshot', toEvent(order));
+        if (isFinal(order)) return res.end();
+
+        stream.heartbeat = setInterval(() => res.write(`: heartbeat ${new Date().toISOString()}\n\n`), heartbeatMs);
+        stream.expiry = setTimeout(() => close(stream), maxDurationMs);
+        res.on('close', () => close(stream));
+
+        if (!streams.has(order.orderID)) streams.set(order.orderID, new Set());
+        streams.get(order.orderID).add(stream);
+        log.debug('Order event stream opened', { orderId: order.orderID });
+    }
+
+    /**
+     * Pushes the order's current status to everyone watching it.
+     */
+    function publish(order) {
+        const subscribers = streams.get(order.orderID);
+        if (!subscribers) return;
+
+        const event = toEvent(order);
+        for (const stream of [...subscribers]) {
+            send(stream, 'status', event);
+            if (event.final) close(stream);
+        }
+    }
+
+    return {
+        open,
+        publish,
+        openStreams: () => [...streams.values()].reduce((total, set) => total + set.size, 0)
+    };
+}
+
+module.exports = { createOrderEvents };
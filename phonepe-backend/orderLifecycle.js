@@ -0,0 +1,122 @@
+/**
+ * Order lifecycle.
+ *
+ *   CREATED → PAYMENT_PENDING → PAID → FULFILLED → SHIPPED → DELIVERED
+ *
+ * with FAILED and EXPIRED for payments that did not go through (both can be
+ * retried), CANCELLED for orders abandoned before payment, and
+ * PARTIALLY_REFUNDED / REFUNDED once money goes back.
+ *
+ * `order.status` only changes through transition(), which refuses moves the
+ * table below does not allow (a late PAYMENT_ERROR cannot undo a PAID order)
+ * and appends every change to `order.statusHistory`.
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'lifecycle' });
+
+const ORDER_STATES = [
+    'CREATED',
+    'PAYMENT_PENDING',
+    'PAID',
+    'FULFILLED',
+    'SHIPPED',
+    'DELIVERED',
+    'FAILED',
+    'EXPIRED',
+    'CANCELLED',
+    'PARTIALLY_REFUNDED',
+    'REFUNDED'
+];
+
+const REFUND_STATES = ['PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// Allowed next states. FAILED and EXPIRED can still become PAID: a success
+// reported late for an older attempt means the customer was charged.
+const TRANSITIONS = {
+    CREATED: ['PAYMENT_PENDING', 'FAILED', 'CANCELLED'],
+    PAYMENT_PENDING: ['PAID', 'FAILED', 'EXPIRED'],
+    FAILED: ['PAYMENT_PENDING', 'PAID', 'CANCELLED'],
+    EXPIRED: ['PAYMENT_PENDING', 'PAID', 'CANCELLED'],
+    PAID: ['FULFILLED', 'SHIPPED', ...REFUND_STATES],
+    FULFILLED: ['SHIPPED', ...REFUND_STATES],
+    SHIPPED: ['DELIVERED', ...REFUND_STATES],
+    DELIVERED: REFUND_STATES,
+    PARTIALLY_REFUNDED: ['REFUNDED'],
+    CANCELLED: [],
+    REFUNDED: []
+};
+
+// Where a status change came from
+const SOURCES = {
+    API: 'api',
+    S2S_CALLBACK: 's2s_callback',
+    REDIRECT: 'redirect',
+    POLL: 'poll',
+    ADMIN: 'admin',
+    MIGRATION: 'migration'
+};
+
+// States an admin may set by hand; the rest follow from payments and refunds
+const ADMIN_STATES = ['FULFILLED', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function record(order, from, to, { source, code, actor, note }) {
+    const at = new Date().toISOString();
+
+    order.statusHistory = order.statusHistory || [];
+    order.statusHistory.push({
+        from,
+        to,
+        at,
+        source,
+        code: code || null,
+        ...(actor && { actor }),
+        ...(note && { note })
+    });
+    order.status = to;
+    order.updatedAt = at;
+}
+
+/**
+ * Puts a new order in CREATED.
+ */
+function startLifecycle(order, meta) {
+    record(order, null, 'CREATED', meta);
+}
+
+/**
+ * Moves an order to `to`, recording `meta` ({ source, code, actor, note }).
+ * Mutates `order` in place. Returns true if the status changed; moving to the
+ * current status is a no-op and an illegal move is logged and refused.
+ */
+function transition(order, to, meta) {
+    const from = order.status;
+    if (from === to) return false;
+
+    if (!canTransition(from, to)) {
+        log.warn('Rejected status transition', { orderId: order.orderID, from, to, source: meta.source, code: meta.code || null });
+        return false;
+    }
+
+    record(order, from, to, meta);
+    return true;
+}
+
+function getHistory(order) {
+    return order.statusHistory || [];
+}
+
+module.exports = {
+    ORDER_STATES,
+    ADMIN_STATES,
+    SOURCES,
+    canTransition,
+    startLifecycle,
+    transition,
+    getHistory
+};
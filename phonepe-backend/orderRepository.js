@@ -0,0 +1,270 @@
+const fs = require('fs');
+const { getAttempts } = require('./paymentAttempts');
+
+/**
+ * Order storage backed by SQLite.
+ *
+ * Orders are kept as a JSON document in `data`, with the fields we query on
+ * (status, phone, dates) copied into indexed columns. Every payment attempt's
+ * merchantTransactionId is indexed in `payment_attempts` so gateway callbacks
+ * can be matched to their order, together with the transaction id PhonePe
+ * gave it once known (settlement reports only carry that). All writes go
+ * through IMMEDIATE transactions so concurrent callbacks cannot lose updates.
+ */
+function createOrderRepository(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS orders (
+            order_id   TEXT PRIMARY KEY,
+            status     TEXT NOT NULL,
+            phone      TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT,
+            data       TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_orders_status ON orders (status);
+        CREATE INDEX IF NOT EXISTS idx_orders_phone ON orders (phone);
+        CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders (created_at);
+
+        CREATE TABLE IF NOT EXISTS payment_attempts (
+            merchant_transaction_id TEXT PRIMARY KEY,
+            order_id                TEXT NOT NULL REFERENCES orders (order_id),
+            phonepe_transaction_id  TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_payment_attempts_order_id ON payment_attempts (order_id);
+    `);
+
+    // Databases created before PhonePe transaction ids were indexed get the column here; the migration below fills it
+    const attemptColumns = db.prepare('PRAGMA table_info(payment_attempts)').all().map(column => column.name);
+    if (!attemptColumns.includes('phonepe_transaction_id')) {
+        db.exec('ALTER TABLE payment_attempts ADD COLUMN phonepe_transaction_id TEXT');
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_payment_attempts_phonepe_transaction_id ON payment_attempts (phonepe_transaction_id)');
+
+    const statements = {
+        insert: db.prepare(`
+            INSERT INTO orders (order_id, status, phone, created_at, updated_at, data)
+            VALUES (@orderId, @status, @phone, @createdAt, @updatedAt, @data)
+        `),
+        update: db.prepare(`
+            UPDATE orders
+            SET status = @status, phone = @phone, updated_at = @updatedAt, data = @data
+            WHERE order_id = @orderId
+        `),
+        getById: db.prepare('SELECT data FROM orders WHERE order_id = ?'),
+        insertAttempt: db.prepare(`
+            INSERT INTO payment_attempts (merchant_transaction_id, order_id, phonepe_transaction_id) VALUES (?, ?, ?)
+            ON CONFLICT (merchant_transaction_id) DO UPDATE
+            SET phonepe_transaction_id = COALESCE(excluded.phonepe_transaction_id, phonepe_transaction_id)
+        `),
+        findByTransactionId: db.prepare(`
+            SELECT o.data FROM orders o
+            JOIN payment_attempts a ON a.order_id = o.order_id
+            WHERE a.merchant_transaction_id = ?
+        `),
+        listIds: db.prepare('SELECT order_id FROM orders'),
+        findByRefundId: db.prepare(`
+            SELECT o.data FROM orders o, json_each(o.data, '$.refunds') r
+            WHERE json_extract(r.value, '$.merchantTransactionId') = ?
+        `),
+        findByPhonePeTransactionId: db.prepare(`
+            SELECT o.data FROM orders o
+            JOIN payment_attempts a ON a.order_id = o.order_id
+            WHERE a.phonepe_transaction_id = ?
+        `),
+        getMigration: db.prepare('SELECT 1 FROM migrations WHERE name = ?'),
+        addMigration: db.prepare('INSERT INTO migrations (name, applied_at) VALUES (?, ?)')
+    };
+
+    function toRow(order) {
+        return {
+            orderId: order.orderID,
+            status: order.status || 'CREATED',
+            phone: order.phone || null,
+            createdAt: order.createdAt || new Date().toISOString(),
+            updatedAt: order.updatedAt || null,
+            data: JSON.stringify(order)
+        };
+    }
+
+    function indexAttempts(order) {
+        for (const attempt of getAttempts(order)) {
+            statements.insertAttempt.run(attempt.merchantTransactionId, order.orderID, attempt.phonepeTransactionId || null);
+        }
+    }
+
+    function parse(row) {
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    function buildWhere(filters = {}) {
+        const clauses = [];
+        const params = {};
+
+        if (filters.status) {
+            clauses.push('status = @status');
+            params.status = filters.status;
+        }
+        if (filters.phone) {
+            clauses.push('phone = @phone');
+            params.phone = filters.phone;
+        }
+        if (filters.orderId) {
+            clauses.push('order_id = @orderId');
+            params.orderId = filters.orderId;
+        }
+        if (filters.from) {
+            clauses.push('created_at >= @from');
+            params.from = filters.from;
+        }
+        if (filters.to) {
+            clauses.push('created_at <= @to');
+            params.to = filters.to;
+        }
+
+        return {
+            where: clauses.length ? 'WHERE ' + clauses.join(' AND ') : '',
+            params
+        };
+    }
+
+    /**
+     * Inserts a new order. Throws if an order with the same orderID exists.
+     */
+    const create = db.transaction(order => {
+        statements.insert.run(toRow(order));
+        indexAttempts(order);
+        return order;
+    });
+
+    function getById(orderId) {
+        return parse(statements.getById.get(orderId));
+    }
+
+    /**
+     * Finds the order a payment attempt's merchantTransactionId belongs to.
+     */
+    function findByTransactionId(merchantTransactionId) {
+        return parse(statements.findByTransactionId.get(merchantTransactionId));
+    }
+
+    function findByRefundId(refundTransactionId) {
+        return parse(statements.findByRefundId.get(refundTransactionId));
+    }
+
+    /**
+     * Finds an order by the transaction id PhonePe assigned to one of its attempts.
+     */
+    function findByPhonePeTransactionId(phonepeTransactionId) {
+        return parse(statements.findByPhonePeTransactionId.get(phonepeTransactionId));
+    }
+
+    /**
+     * Reads, mutates and writes back an order inside a single transaction.
+     * The mutator receives the current order and changes it in place; returning
+     * `false` aborts the update. Returns the stored order, or null if missing.
+     */
+    const update = db.transaction((orderId, mutator) => {
+        const order = parse(statements.getById.get(orderId));
+        if (!order) return null;
+
+        if (mutator(order) === false) return order;
+
+        statements.update.run(toRow(order));
+        indexAttempts(order);
+        return order;
+    });
+
+    /**
+     * Lists orders newest first. Supports status, phone, orderId and
+     * createdAt range (from/to, ISO strings) filters plus limit/offset.
+     */
+    function list(filters = {}) {
+        const { where, params } = buildWhere(filters);
+        const limit = Number.isInteger(filters.limit) ? filters.limit : -1;
+        const offset = Number.isInteger(filters.offset) ? filters.offset : 0;
+
+        return db
+            .prepare(`SELECT data FROM orders ${where} ORDER BY created_at DESC LIMIT @limit OFFSET @offset`)
+            .all({ ...params, limit, offset })
+            .map(parse);
+    }
+
+    function count(filters = {}) {
+        const { where, params } = buildWhere(filters);
+        return db.prepare(`SELECT COUNT(*) AS total FROM orders ${where}`).get(params).total;
+    }
+
+    /**
+     * One-time import of a legacy orders.json file. The file is renamed
+     * afterwards so it is never imported twice.
+     */
+    function importFromJson(jsonPath) {
+        const migrationName = 'import-orders-json';
+
+        if (statements.getMigration.get(migrationName) || !fs.existsSync(jsonPath)) {
+            return 0;
+        }
+
+        const legacyOrders = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+
+        const imported = db.transaction(() => {
+            let total = 0;
+            for (const order of legacyOrders) {
+                // Older files could contain the same orderID twice; the first entry is the one the server used
+                if (!order.orderID || statements.getById.get(order.orderID)) continue;
+                if (order.status === 'PENDING') order.status = 'PAYMENT_PENDING';
+                statements.insert.run(toRow(order));
+                indexAttempts(order);
+                total++;
+            }
+            statements.addMigration.run(migrationName, new Date().toISOString());
+            return total;
+        }).immediate();
+
+        fs.renameSync(jsonPath, `${jsonPath}.migrated`);
+        return imported;
+    }
+
+    // Indexes the attempts of every stored order, once per migration name
+    function reindexAllAttempts(migrationName) {
+        if (statements.getMigration.get(migrationName)) return;
+
+        db.transaction(() => {
+            for (const { order_id: orderId } of statements.listIds.all()) {
+                indexAttempts(getById(orderId));
+            }
+            statements.addMigration.run(migrationName, new Date().toISOString());
+        }).immediate();
+    }
+
+    // Orders stored before payment attempts existed are indexed under their orderID
+    reindexAllAttempts('index-payment-attempts');
+
+    // Attempts indexed before the column existed get their PhonePe transaction ids
+    reindexAllAttempts('index-phonepe-transaction-ids');
+
+    // PENDING became PAYMENT_PENDING with the order lifecycle
+    if (!statements.getMigration.get('order-lifecycle-states')) {
+        db.transaction(() => {
+            db.prepare(`
+                UPDATE orders SET status = 'PAYMENT_PENDING', data = json_set(data, '$.status', 'PAYMENT_PENDING')
+                WHERE status = 'PENDING'
+            `).run();
+            statements.addMigration.run('order-lifecycle-states', new Date().toISOString());
+        }).immediate();
+    }
+
+    return {
+        create: order => create.immediate(order),
+        getById,
+        findByTransactionId,
+        findByRefundId,
+        findByPhonePeTransactionId,
+        update: (orderId, mutator) => update.immediate(orderId, mutator),
+        list,
+        count,
+        importFromJson
+    };
+}
+
+module.exports = { createOrderRepository };
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Durable outbox for order events.
+ *
+ * Every event is written to SQLite as one job per destination, then delivered
+ * by a background loop with exponential backoff. Jobs that keep failing end up
+ * in the dead-letter list (status 'dead') until an admin replays them.
+ *
+ * Destinations:
+ *   { name, type: 'google-sheets', url }
+ *   { name, type: 'webhook', url, secret, events?: ['order.paid', ...] }
+ * Either can be limited to some storefronts with `storefronts: ['oils', ...]`
+ * (matched against `order.storefront`).
+ * Webhooks are signed: X-Webhook-Signature = sha256=HMAC(secret, `${timestamp}.${body}`).
+ */
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const DELIVERED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const log = logger.child({ component: 'outbox' });
+
+function signWebhook(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Builds the HTTP request for one job. The Sheets Apps Script expects a full
+ * row for new orders and a small `action: 'update'` patch afterwards.
+ */
+function buildRequest(destination, job, payload) {
+    if (destination.type === 'google-sheets') {
+        const order = payload.order;
+        const body = payload.event === 'order.created' ? order : {
+            action: 'update',
+            orderId: order.orderID,
+            status: order.status,
+            paymentId: order.phonepeTransactionId || '',
+            updatedAt: new Date(payload.occurredAt).toLocaleString()
+        };
+        return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+    }
+
+    const body = JSON.stringify({ id: payload.eventId, event: payload.event, occurredAt: payload.occurredAt, data: payload.order });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    return {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': payload.eventId,
+            'X-Webhook-Event': payload.event,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': signWebhook(destination.secret, timestamp, body)
+        },
+        body
+    };
+}
+
+function createOutbox(db, { destinations = [], maxAttempts = 10, onDeliveryFailed = () => {}, baseDelayMs = 30 * 1000, pollMs = 2000 } = {}) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS outbox_jobs (
+            id              INTEGER PRIMARY KEY AUTOINCREMENT,
+            event           TEXT NOT NULL,
+            destination     TEXT NOT NULL,
+            payload         TEXT NOT NULL,
+            status          TEXT NOT NULL DEFAULT 'pending',
+            attempts        INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at TEXT NOT NULL,
+            last_error      TEXT,
+            created_at      TEXT NOT NULL,
+            updated_at      TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_outbox_jobs_due ON outbox_jobs (status, next_attempt_at);
+    `);
+
+    const statements = {
+        insert: db.prepare(`
+            INSERT INTO outbox_jobs (event, destination, payload, next_attempt_at, created_at, updated_at)
+            VALUES (@event, @destination, @payload, @now, @now, @now)
+        `),
+        due: db.prepare(`
+            SELECT * FROM outbox_jobs WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at LIMIT 20
+        `),
+        delivered: db.prepare(`
+            UPDATE outbox_jobs SET status = 'delivered', attempts = attempts + 1, last_error = NULL, updated_at = ? WHERE id = ?
+        `),
+        failed: db.prepare(`
+            UPDATE outbox_jobs SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt,
+                last_error = @error, updated_at = @now
+            WHERE id = @id
+        `),
+        replay: db.prepare(`
+            UPDATE outbox_jobs SET status = 'pending', next_attempt_at = ?, updated_at = ?
+            WHERE id = ? AND status = 'dead'
+        `),
+        replayAll: db.prepare(`
+            UPDATE outbox_jobs SET status = 'pending', next_attempt_at = ?, updated_at = ? WHERE status = 'dead'
+        `),
+        purge: db.prepare(`DELETE FROM outbox_jobs WHERE status = 'delivered' AND updated_at < ?`),
+        counts: db.prepare('SELECT status, COUNT(*) AS total FROM outbox_jobs GROUP BY status')
+    };
+
+    const byName = new Map(destinations.map(d => [d.name, d]));
+    let timer = null;
+    let running = false;
+
+    /**
+     * Records an order event for every destination that wants it.
+     */
+    const enqueue = db.transaction((event, order) => {
+        const now = new Date().toISOString();
+        const payload = JSON.stringify({ eventId: crypto.randomUUID(), event, occurredAt: now, order });
+
+        for (const destination of destinations) {
+            if (destination.events && !destination.events.includes(event)) continue;
+            if (destination.storefronts && !destination.storefronts.includes(order.storefront)) continue;
+            statements.insert.run({ event, destination: destination.name, payload, now });
+        }
+    });
+
+    function backoff(attempts) {
+        const delay = Math.min(baseDelayMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    async function deliver(job) {
+        const destination = byName.get(job.destination);
+        const now = new Date();
+
+        try {
+            if (!destination) throw new Error(`Destination ${job.destination} is no longer configured`);
+
+            const request = buildRequest(destination, job, JSON.parse(job.payload));
+            const response = await fetch(destination.url, {
+                method: 'POST',
+                ...request,
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            statements.delivered.run(now.toISOString(), job.id);
+        } catch (error) {
+            const attempts = job.attempts + 1;
+            const dead = attempts >= maxAttempts;
+
+            statements.failed.run({
+                id: job.id,
+                status: dead ? 'dead' : 'pending',
+                attempts,
+                nextAttemptAt: new Date(now.getTime() + backoff(attempts)).toISOString(),
+                error: error.message,
+                now: now.toISOString()
+            });
+
+            log[dead ? 'error' : 'warn'](dead ? 'Outbox delivery dead-lettered' : 'Outbox delivery failed, will retry', {
+                jobId: job.id,
+                event: job.event,
+                destination: job.destination,
+                attempts,
+                reason: error.message
+            });
+            onDeliveryFailed({ destination: job.destination, type: destination?.type || 'unknown', dead });
+        }
+    }
+
+    /**
+     * Delivers every due job once, one at a time.
+     */
+    async function runOnce() {
+        if (running) return;
+        running = true;
+
+        try {
+            statements.purge.run(new Date(Date.now() - DELIVERED_RETENTION_MS).toISOString());
+
+            for (const job of statements.due.all(new Date().toISOString())) {
+                await deliver(job);
+            }
+        } catch (error) {
+            log.error('Outbox run failed', { error });
+        } finally {
+            running = false;
+        }
+    }
+
+    function toView(job) {
+        return { ...job, payload: JSON.parse(job.payload) };
+    }
+
+    /**
+     * Jobs by status ('pending', 'delivered' or 'dead'), newest first.
+     */
+    function list({ status = 'dead', limit = 100 } = {}) {
+        return db
+            .prepare('SELECT * FROM outbox_jobs WHERE status = ? ORDER BY id DESC LIMIT ?')
+            .all(status, limit)
+            .map(toView);
+    }
+
+    function getCounts() {
+        const counts = { pending: 0, delivered: 0, dead: 0 };
+        for (const row of statements.counts.all()) counts[row.status] = row.total;
+        return counts;
+    }
+
+    /**
+     * Moves dead jobs back to the queue for immediate delivery. Returns how many.
+     */
+    function replay(jobId) {
+        const now = new Date().toISOString();
+        const result = jobId === undefined
+            ? statements.replayAll.run(now, now)
+            : statements.replay.run(now, now, jobId);
+        return result.changes;
+    }
+
+    return {
+        enqueue: (event, order) => enqueue.immediate(event, order),
+        runOnce,
+        list,
+        getCounts,
+        replay,
+        destinations: destinations.map(d => ({ name: d.name, type: d.type, events: d.events || 'all', storefronts: d.storefronts || 'all' })),
+        start() {
+            if (timer) return;
+            timer = setInterval(runOnce, pollMs);
+            timer.unref();
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+/**
+ * Reads destinations from config: one Google Sheet per storefront that has one
+ * (`googleSheets: [{ storefront, url }]`, the default storefront's named plain
+ * 'google-sheets') plus the JSON array in WEBHOOK_DESTINATIONS. Throws on
+ * malformed entries so bad config fails at startup.
+ */
+function loadDestinations({ googleSheets = [], webhookDestinations }) {
+    const destinations = [];
+
+    googleSheets.forEach(({ storefront, url }, index) => {
+        if (!url || url.includes('YOUR_DEPLOYMENT_ID')) return;
+        destinations.push({
+            name: index === 0 ? 'google-sheets' : `google-sheets-${storefront}`,
+            type: 'google-sheets',
+            url,
+            storefronts: [storefront]
+        });
+    });
+
+    for (const webhook of webhookDestinations ? JSON.parse(webhookDestinations) : []) {
+        if (!webhook.name || !webhook.url || !webhook.secret) {
+            throw new Error(`Webhook destination needs name, url and secret: ${JSON.stringify(webhook.name || webhook.url)}`);
+        }
+        if (destinations.some(d => d.name === webhook.name)) {
+            throw new Error(`Duplicate destination name: ${webhook.name}`);
+        }
+        destinations.push({ ...webhook, type: 'webhook' });
+    }
+
+    return destinations;
+}
+
+module.exports = { createOutbox, loadDestinations, signWebhook };
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { canTransition, transition } = require('./orderLifecycle');
+
+/**
+ * Payment attempts on an order.
+ *
+ * The customer-facing orderID stays stable while every call to /pg/v1/pay gets
+ * its own server-generated merchantTransactionId, recorded in
+ * `order.paymentAttempts`. `order.merchantTransactionId` points at the latest one.
+ * Orders created before attempts existed used their orderID as the transaction id.
+ */
+
+// Order statuses that mean money has been collected
+const PAID_STATUSES = ['PAID', 'FULFILLED', 'SHIPPED', 'DELIVERED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// Attempt statuses after which the customer may try paying again
+const RETRYABLE_STATUSES = ['FAILED', 'EXPIRED'];
+
+// Order status an attempt result moves the order to
+const ORDER_STATUS_FOR_ATTEMPT = {
+    PENDING: 'PAYMENT_PENDING',
+    PAID: 'PAID',
+    FAILED: 'FAILED',
+    EXPIRED: 'EXPIRED'
+};
+
+// PhonePe status codes that say where a payment stands; others (TRANSACTION_NOT_FOUND,
+// INTERNAL_SERVER_ERROR, ...) say nothing about it and come with success: false like failures do
+const ATTEMPT_STATUS_FOR_CODE = {
+    PAYMENT_SUCCESS: 'PAID',
+    PAYMENT_PENDING: 'PENDING',
+    PAYMENT_ERROR: 'FAILED',
+    PAYMENT_DECLINED: 'FAILED',
+    TIMED_OUT: 'FAILED'
+};
+
+/**
+ * PhonePe allows up to 35 alphanumeric characters (plus _ and -).
+ */
+function generateTransactionId() {
+    return `TX${Date.now()}${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+}
+
+function getAttempts(order) {
+    if (order.paymentAttempts) return order.paymentAttempts;
+
+    return [{
+        merchantTransactionId: order.orderID,
+        amount: Math.round(parseFloat(order.totalAmount) * 100),
+        status: isPaid(order) ? 'PAID' : order.status === 'PAYMENT_PENDING' ? 'PENDING' : order.status,
+        phonepeTransactionId: order.phonepeTransactionId,
+        createdAt: order.createdAt
+    }];
+}
+
+/**
+ * Whether the attempt stands in for an order from before attempts existed,
+ * rather than one started by /create-payment. Its transaction id is the
+ * orderID, which customers see, so it must never unlock anything.
+ */
+function isLegacyAttempt(order, attempt) {
+    return attempt.merchantTransactionId === order.orderID;
+}
+
+/**
+ * The attempt status a PhonePe status code means, or null if it does not tell.
+ */
+function attemptStatusForCode(code) {
+    return ATTEMPT_STATUS_FOR_CODE[code] || null;
+}
+
+function getCurrentAttempt(order) {
+    const attempts = getAttempts(order);
+    return attempts[attempts.length - 1];
+}
+
+function getPaidAttempt(order) {
+    return getAttempts(order).find(a => a.status === 'PAID') || null;
+}
+
+function isPaid(order) {
+    return PAID_STATUSES.includes(order.status);
+}
+
+function canRetry(order) {
+    return canTransition(order.status, 'PAYMENT_PENDING') && RETRYABLE_STATUSES.includes(getCurrentAttempt(order).status);
+}
+
+/**
+ * Records a gateway result on one attempt and moves the order accordingly.
+ * A successful attempt always tries to make the order PAID; other results only
+ * apply to the latest attempt, and the lifecycle refuses anything that would
+ * undo a payment. `source` says where the result came from (see orderLifecycle).
+ * Mutates `order` in place (meant to run inside orderRepository.update).
+ * Returns false if the attempt is unknown.
+ */
+function recordAttemptStatus(order, merchantTransactionId, { status, code, transactionId, source }) {
+    order.paymentAttempts = getAttempts(order);
+    const attempt = order.paymentAttempts.find(a => a.merchantTransactionId === merchantTransactionId);
+
+    if (!attempt) return false;
+
+    const now = new Date().toISOString();
+    attempt.status = status;
+    attempt.paymentCode = code;
+    attempt.phonepeTransactionId = transactionId || attempt.phonepeTransactionId;
+    attempt.updatedAt = now;
+
+    if (status !== 'PAID' && attempt !== getCurrentAttempt(order)) return true;
+
+    if (transition(order, ORDER_STATUS_FOR_ATTEMPT[status], { source, code })) {
+        order.paymentCode = code;
+        order.phonepeTransactionId = attempt.phonepeTransactionId;
+        order.merchantTransactionId = attempt.merchantTransactionId;
+    }
+
+    return true;
+}
+
+module.exports = {
+    generateTransactionId,
+    attemptStatusForCode,
+    getAttempts,
+    getCurrentAttempt,
+    getPaidAttempt,
+    isLegacyAttempt,
+    isPaid,
+    canRetry,
+    recordAttemptStatus,
+    PAID_STATUSES
+};
@@ -0,0 +1,89 @@
+const QRCode = require('qrcode');
+
+/**
+ * PhonePe payment instruments a checkout can ask for with
+ * `orderData.paymentMode`, and what /create-payment returns for each:
+ *
+ *   PAY_PAGE     PhonePe's hosted page (the default)       { paymentUrl }
+ *   UPI_INTENT   deep link into a UPI app on the phone      { intentUrl }
+ *                `targetApp` picks the app (e.g. com.phonepe.app), `deviceOS` is ANDROID or IOS
+ *   UPI_COLLECT  collect request to the customer's UPI ID   { vpa }
+ *                `vpa` is required and checked with PhonePe before the payment starts
+ *   UPI_QR       dynamic QR code for desktop                { qrData, qrImage }
+ *                qrImage is a PNG data URL of qrData
+ *
+ * Every mode settles through the same callbacks, status checks and
+ * reconciliation. Only PAY_PAGE sends the browser back to /payment-callback;
+ * the other modes poll /check-payment/:orderId for the result.
+ */
+
+const PAYMENT_MODES = ['PAY_PAGE', 'UPI_INTENT', 'UPI_COLLECT', 'UPI_QR'];
+const DEVICE_OS = ['ANDROID', 'IOS'];
+
+// handle@psp, as NPCI allows it
+const VPA_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,255}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+// Android package name or iOS app name
+const TARGET_APP_PATTERN = /^[a-zA-Z][a-zA-Z0-9_.]{1,99}$/;
+
+class PaymentModeError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'PaymentModeError';
+        this.details = details;
+    }
+}
+
+function isValidVpa(vpa) {
+    return typeof vpa === 'string' && VPA_PATTERN.test(vpa);
+}
+
+/**
+ * Reads the payment mode from the order data, as passed to gateway.pay().
+ * Throws PaymentModeError for unknown modes or missing / malformed fields.
+ */
+function parsePaymentMode({ paymentMode = 'PAY_PAGE', targetApp, deviceOS = 'ANDROID', vpa }) {
+    const type = String(paymentMode).toUpperCase();
+    const reject = (message, reason) => {
+        throw new PaymentModeError(message, { paymentMode: type, reason });
+    };
+
+    if (!PAYMENT_MODES.includes(type)) {
+        reject(`Unknown payment mode. Use one of ${PAYMENT_MODES.join(', ')}.`, 'UNKNOWN_PAYMENT_MODE');
+    }
+
+    if (type === 'UPI_INTENT') {
+        if (targetApp !== undefined && !TARGET_APP_PATTERN.test(String(targetApp))) reject('Invalid UPI app.', 'INVALID_TARGET_APP');
+        if (!DEVICE_OS.includes(String(deviceOS).toUpperCase())) reject('deviceOS must be ANDROID or IOS.', 'INVALID_DEVICE_OS');
+        return { type, targetApp, deviceOS: String(deviceOS).toUpperCase() };
+    }
+
+    if (type === 'UPI_COLLECT') {
+        const address = typeof vpa === 'string' ? vpa.trim() : vpa;
+        if (!isValidVpa(address)) reject('Enter a valid UPI ID, like name@bank.', 'INVALID_VPA');
+        return { type, vpa: address };
+    }
+
+    return { type };
+}
+
+/**
+ * The response fields for the frontend once PhonePe has accepted the
+ * payment, or null if the response does not carry what the mode needs.
+ */
+async function describeInstrument(paymentMode, result) {
+    const instrument = result.success && result.data?.instrumentResponse;
+    if (!instrument) return null;
+
+    switch (paymentMode.type) {
+        case 'UPI_INTENT':
+            return instrument.intentUrl ? { intentUrl: instrument.intentUrl } : null;
+        case 'UPI_COLLECT':
+            return { vpa: paymentMode.vpa };
+        case 'UPI_QR':
+            return instrument.qrData ? { qrData: instrument.qrData, qrImage: await QRCode.toDataURL(instrument.qrData) } : null;
+        default:
+            return instrument.redirectInfo?.url ? { paymentUrl: instrument.redirectInfo.url } : null;
+    }
+}
+
+module.exports = { PAYMENT_MODES, PaymentModeError, parsePaymentMode, describeInstrument, isValidVpa };
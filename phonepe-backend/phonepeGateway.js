@@ -0,0 +1,429 @@
+const crypto = require('crypto');
+const { safeEqual } = require('./adminAuth');
+const { logger } = require('./logger');
+
+/**
+ * PhonePe gateway client, in either API mode:
+ *
+ *  - v1: PG v1 with a salt key. Requests are base64 payloads signed with
+ *    X-VERIFY = sha256(payload + endpoint + saltKey) + '###' + saltIndex,
+ *    callbacks carry the same kind of checksum. `saltKeys` ({ index: key })
+ *    may hold several keys during a rotation: requests use `saltIndex`,
+ *    callbacks are checked with whichever key their ###index names.
+ *  - v2: Standard Checkout v2. Requests carry an OAuth access token obtained
+ *    with client credentials (cached, refreshed before it expires). Callbacks
+ *    carry `Authorization: sha256(username:password)` as set on the dashboard.
+ *
+ * Whatever the mode, results come back in the v1 response shape
+ * ({ success, code, data: { merchantTransactionId, transactionId, state } })
+ * so the rest of the server never needs to know which API is in use.
+ *
+ * pay() takes a `paymentMode` from paymentModes.js (PAY_PAGE when left out);
+ * the UPI modes come back with intentUrl / qrData in `instrumentResponse`.
+ * validateVpa() checks a UPI ID with PhonePe before a collect request.
+ *
+ * `onApiCall({ endpoint, method, status, seconds })`, if given, is told about
+ * every HTTP call; `endpoint` is the path without ids, for metrics.
+ */
+
+const V1_DEFAULT_BASE_URL = 'https://api-preprod.phonepe.com/apis/hermes';
+const V2_DEFAULT_BASE_URL = 'https://api-preprod.phonepe.com/apis/pg-sandbox';
+
+// Refresh a token this long before PhonePe says it expires
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+const log = logger.child({ component: 'phonepe' });
+
+// v2 order state -> v1 payment code
+const ORDER_STATE_CODES = {
+    COMPLETED: 'PAYMENT_SUCCESS',
+    FAILED: 'PAYMENT_ERROR',
+    PENDING: 'PAYMENT_PENDING'
+};
+
+// v2 refund state -> v1 refund state
+const REFUND_STATES = {
+    PENDING: 'PENDING',
+    CONFIRMED: 'PENDING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED'
+};
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * fetch() that reports each call to `onApiCall`; status is 'error' when no
+ * response came back.
+ */
+function createTimedFetch(onApiCall) {
+    return async (endpoint, url, options) => {
+        const startedAt = process.hrtime.bigint();
+        let status = 'error';
+        try {
+            const response = await fetch(url, options);
+            status = String(response.status);
+            return response;
+        } finally {
+            onApiCall?.({ endpoint, method: options.method, status, seconds: Number(process.hrtime.bigint() - startedAt) / 1e9 });
+        }
+    };
+}
+
+// Payment mode (see paymentModes.js) -> v1 paymentInstrument
+function toV1Instrument({ type, targetApp, vpa }) {
+    if (type === 'UPI_INTENT') return { type, ...(targetApp && { targetApp }) };
+    if (type === 'UPI_COLLECT') return { type, vpa };
+    return { type };
+}
+
+// Payment mode -> v2 paymentMode for the custom checkout flow
+function toV2PaymentMode({ type, targetApp, vpa }) {
+    if (type === 'UPI_INTENT') return { type, ...(targetApp && { targetApp }) };
+    if (type === 'UPI_COLLECT') return { type, details: { type: 'VPA', vpa } };
+    return { type };
+}
+
+/**
+ * Maps a v2 order status (API response or callback payload) to a v1 status response.
+ */
+function toV1PaymentStatus(merchantTransactionId, order) {
+    const code = ORDER_STATE_CODES[order.state] || 'PAYMENT_PENDING';
+    const payment = (order.paymentDetails || []).at(-1) || {};
+
+    return {
+        success: code !== 'PAYMENT_ERROR',
+        code,
+        message: `Order is ${order.state}`,
+        data: {
+            merchantTransactionId,
+            transactionId: payment.transactionId,
+            amount: order.amount,
+            state: order.state,
+            responseCode: payment.errorCode || order.errorCode,
+            phonepeOrderId: order.orderId
+        }
+    };
+}
+
+/**
+ * Maps a v2 refund (API response or callback payload) to a v1 refund response.
+ */
+function toV1RefundStatus(merchantRefundId, refund) {
+    const state = REFUND_STATES[refund.state] || 'PENDING';
+    const code = state === 'COMPLETED' ? 'PAYMENT_SUCCESS' : state === 'PENDING' ? 'PAYMENT_PENDING' : 'PAYMENT_ERROR';
+
+    return {
+        success: state !== 'FAILED',
+        code,
+        message: `Refund is ${refund.state}`,
+        data: {
+            merchantTransactionId: merchantRefundId,
+            transactionId: refund.refundId || (refund.paymentDetails || []).at(-1)?.transactionId,
+            amount: refund.amount,
+            state,
+            responseCode: refund.errorCode
+        }
+    };
+}
+
+function createV1Client({ baseUrl, merchantId, saltKey, saltKeys = {}, saltIndex = '1', onApiCall }) {
+    const timedFetch = createTimedFetch(onApiCall);
+    const keys = { ...saltKeys, ...(saltKey && { [saltIndex]: saltKey }) };
+    const activeKey = keys[saltIndex];
+
+    /**
+     * Generates the X-VERIFY checksum for the PhonePe request.
+     */
+    function generateChecksum(base64Payload, endpoint) {
+        return sha256(base64Payload + endpoint + activeKey) + '###' + saltIndex;
+    }
+
+    async function post(endpoint, payload) {
+        const base64Payload = Buffer.from(JSON.stringify(payload)).toString('base64');
+        const checksum = generateChecksum(base64Payload, endpoint);
+
+        log.debug('PhonePe API call', { method: 'POST', url: `${baseUrl}${endpoint}` });
+
+        const response = await timedFetch(endpoint, `${baseUrl}${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-VERIFY': checksum,
+                'X-MERCHANT-ID': merchantId
+            },
+            body: JSON.stringify({ request: base64Payload })
+        });
+        return response.json();
+    }
+
+    // Payments and refunds share the status endpoint
+    async function checkStatus(merchantTransactionId) {
+        const endpoint = `/pg/v1/status/${merchantId}/${merchantTransactionId}`;
+        const checksum = sha256(endpoint + activeKey) + '###' + saltIndex;
+
+        // The path carries the merchant ID, so only the transaction is logged
+        log.debug('PhonePe API call', { method: 'GET', url: `${baseUrl}/pg/v1/status`, merchantTransactionId });
+
+        const response = await timedFetch('/pg/v1/status', `${baseUrl}${endpoint}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-VERIFY': checksum,
+                'X-MERCHANT-ID': merchantId
+            }
+        });
+        return response.json();
+    }
+
+    return {
+        pay({ merchantTransactionId, merchantUserId, amount, redirectUrl, callbackUrl, mobileNumber, paymentMode = { type: 'PAY_PAGE' } }) {
+            return post('/pg/v1/pay', {
+                merchantId,
+                merchantTransactionId,
+                merchantUserId,
+                amount,
+                redirectUrl,
+                redirectMode: 'POST',
+                callbackUrl,
+                mobileNumber,
+                paymentInstrument: toV1Instrument(paymentMode),
+                ...(paymentMode.type === 'UPI_INTENT' && { deviceContext: { deviceOS: paymentMode.deviceOS } })
+            });
+        },
+
+        async validateVpa(vpa) {
+            const result = await post('/pg/v1/vpa/validate', { merchantId, vpa });
+            return { valid: result.success === true, name: result.data?.name };
+        },
+
+        checkStatus,
+
+        refund({ merchantTransactionId, originalTransactionId, merchantUserId, amount, callbackUrl }) {
+            return post('/pg/v1/refund', {
+                merchantId,
+                merchantUserId,
+                originalTransactionId,
+                merchantTransactionId,
+                amount,
+                callbackUrl
+            });
+        },
+
+        checkRefundStatus: checkStatus,
+
+        // S2S callbacks are { response: base64 } signed with sha256(response + saltKey) + '###' + saltIndex.
+        // v1 sends refund callbacks to their own URL, so everything here is a payment
+        parseCallback(headers, body) {
+            if (!body?.response) return null;
+
+            const [receivedChecksum, index] = (headers['x-verify'] || '').split('###');
+            const key = Object.hasOwn(keys, index) ? keys[index] : null;
+            if (!receivedChecksum || !key || !safeEqual(receivedChecksum, sha256(body.response + key))) {
+                return { valid: false };
+            }
+
+            const response = JSON.parse(Buffer.from(body.response, 'base64').toString());
+            return { valid: true, type: 'PAYMENT', response };
+        }
+    };
+}
+
+function createV2Client({ baseUrl, authUrl, clientId, clientSecret, clientVersion, callbackUsername, callbackPassword, onApiCall }) {
+    const timedFetch = createTimedFetch(onApiCall);
+    let token = null;
+    let tokenRequest = null;
+
+    async function fetchToken() {
+        const response = await timedFetch('/v1/oauth/token', authUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                client_id: clientId,
+                client_secret: clientSecret,
+                client_version: clientVersion,
+                grant_type: 'client_credentials'
+            })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok || !result.access_token) {
+            throw new Error(`PhonePe token request failed: ${result.message || result.code || `HTTP ${response.status}`}`);
+        }
+
+        const expiresAt = result.expires_at * 1000;
+        const lifetime = expiresAt - Date.now();
+        token = {
+            accessToken: result.access_token,
+            type: result.token_type || 'O-Bearer',
+            refreshAt: expiresAt - Math.min(TOKEN_REFRESH_MARGIN_MS, lifetime / 2)
+        };
+
+        log.info('PhonePe access token issued', { expiresAt: new Date(expiresAt).toISOString() });
+        return token;
+    }
+
+    /**
+     * Cached access token; concurrent callers share a single refresh.
+     */
+    async function getToken() {
+        if (token && Date.now() < token.refreshAt) return token;
+
+        if (!tokenRequest) {
+            tokenRequest = fetchToken().finally(() => (tokenRequest = null));
+        }
+        return tokenRequest;
+    }
+
+    // `label` names the endpoint without ids, for onApiCall
+    async function request(method, endpoint, label, body, retryOnUnauthorized = true) {
+        const { accessToken, type } = await getToken();
+
+        log.debug('PhonePe API call', { method, url: `${baseUrl}${endpoint}` });
+
+        const response = await timedFetch(label, `${baseUrl}${endpoint}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `${type} ${accessToken}`
+            },
+            body: body && JSON.stringify(body)
+        });
+
+        // Token revoked or expired early: fetch a new one and try once more
+        if (response.status === 401 && retryOnUnauthorized) {
+            token = null;
+            return request(method, endpoint, label, body, false);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        return { ok: response.ok, status: response.status, result };
+    }
+
+    function toV1Error({ status, result }, fallbackCode) {
+        return {
+            success: false,
+            code: result.code || fallbackCode,
+            message: result.message || `PhonePe answered HTTP ${status}`,
+            data: result
+        };
+    }
+
+    return {
+        // The hosted page goes through Standard Checkout, the UPI modes through the custom checkout API
+        async pay({ merchantTransactionId, merchantUserId, amount, redirectUrl, expireAfterSeconds, paymentMode = { type: 'PAY_PAGE' } }) {
+            const payPage = paymentMode.type === 'PAY_PAGE';
+            const endpoint = payPage ? '/checkout/v2/pay' : '/payments/v2/pay';
+            const response = await request('POST', endpoint, endpoint, {
+                merchantOrderId: merchantTransactionId,
+                amount,
+                // PhonePe accepts 300 to 3600 seconds
+                expireAfter: expireAfterSeconds && Math.min(Math.max(expireAfterSeconds, 300), 3600),
+                metaInfo: { udf1: merchantUserId },
+                ...(paymentMode.type === 'UPI_INTENT' && { deviceContext: { deviceOS: paymentMode.deviceOS } }),
+                paymentFlow: payPage
+                    ? { type: 'PG_CHECKOUT', merchantUrls: { redirectUrl } }
+                    : { type: 'PG', paymentMode: toV2PaymentMode(paymentMode) }
+            });
+
+            if (!response.ok || (payPage && !response.result.redirectUrl)) {
+                return toV1Error(response, 'PAYMENT_INITIATION_FAILED');
+            }
+
+            const { orderId, expireAt, redirectUrl: url, intentUrl, qrData } = response.result;
+            return {
+                success: true,
+                code: 'PAYMENT_INITIATED',
+                message: 'Payment initiated',
+                data: {
+                    merchantTransactionId,
+                    phonepeOrderId: orderId,
+                    expireAt,
+                    instrumentResponse: payPage
+                        ? { type: 'PAY_PAGE', redirectInfo: { url, method: 'GET' } }
+                        : { type: paymentMode.type, intentUrl, qrData }
+                }
+            };
+        },
+
+        async validateVpa(vpa) {
+            const response = await request('POST', '/v2/validate/upi', '/v2/validate/upi', { type: 'VPA', vpa });
+            return { valid: response.ok && response.result.valid === true, name: response.result.name };
+        },
+
+        async checkStatus(merchantTransactionId) {
+            const response = await request('GET', `/checkout/v2/order/${encodeURIComponent(merchantTransactionId)}/status`, '/checkout/v2/order/status');
+            return response.ok ? toV1PaymentStatus(merchantTransactionId, response.result) : toV1Error(response, 'TRANSACTION_NOT_FOUND');
+        },
+
+        async refund({ merchantTransactionId, originalTransactionId, amount }) {
+            const response = await request('POST', '/payments/v2/refund', '/payments/v2/refund', {
+                merchantRefundId: merchantTransactionId,
+                originalMerchantOrderId: originalTransactionId,
+                amount
+            });
+            return response.ok ? toV1RefundStatus(merchantTransactionId, response.result) : toV1Error(response, 'REFUND_REQUEST_FAILED');
+        },
+
+        async checkRefundStatus(merchantTransactionId) {
+            const response = await request('GET', `/payments/v2/refund/${encodeURIComponent(merchantTransactionId)}/status`, '/payments/v2/refund/status');
+            return response.ok ? toV1RefundStatus(merchantTransactionId, response.result) : toV1Error(response, 'TRANSACTION_NOT_FOUND');
+        },
+
+        // Webhooks are { event, payload } with Authorization: sha256(username:password)
+        parseCallback(headers, body) {
+            if (!body?.event || !body?.payload) return null;
+
+            const expected = sha256(`${callbackUsername}:${callbackPassword}`);
+            const received = (headers.authorization || '').replace(/^SHA256\s+/i, '');
+            if (!callbackUsername || !received || !safeEqual(received.toLowerCase(), expected)) {
+                return { valid: false };
+            }
+
+            const { event, payload } = body;
+            if (event.startsWith('pg.refund.')) {
+                return { valid: true, type: 'REFUND', response: toV1RefundStatus(payload.merchantRefundId, payload) };
+            }
+            return { valid: true, type: 'PAYMENT', response: toV1PaymentStatus(payload.merchantOrderId, payload) };
+        }
+    };
+}
+
+/**
+ * Builds the client for the configured API version. Throws if the
+ * credentials that version needs are missing.
+ */
+function createPhonePeGateway(config) {
+    const apiVersion = config.apiVersion || 'v1';
+
+    if (apiVersion === 'v1') {
+        const baseUrl = config.baseUrl || V1_DEFAULT_BASE_URL;
+        return {
+            apiVersion,
+            baseUrl,
+            ...createV1Client({ ...config, baseUrl })
+        };
+    }
+
+    if (apiVersion === 'v2') {
+        const missing = ['clientId', 'clientSecret', 'clientVersion'].filter(key => !config[key]);
+        if (missing.length > 0) {
+            throw new Error(`PhonePe v2 needs ${missing.join(', ')}`);
+        }
+        if (!config.callbackUsername || !config.callbackPassword) {
+            log.warn('PhonePe v2 callback username/password not set, S2S callbacks will be rejected');
+        }
+
+        const baseUrl = config.baseUrl || V2_DEFAULT_BASE_URL;
+        return {
+            apiVersion,
+            baseUrl,
+            ...createV2Client({ ...config, baseUrl, authUrl: config.authUrl || `${baseUrl}/v1/oauth/token` })
+        };
+    }
+
+    throw new Error(`Unknown PhonePe API version: ${apiVersion}`);
+}
+
+module.exports = { createPhonePeGateway };
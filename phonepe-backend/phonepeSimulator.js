@@ -0,0 +1,569 @@
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * Local stand-in for the PhonePe PG v1 and Standard Checkout v2 APIs.
+ *
+ * Point the server at it with PHONEPE_BASE_URL. For v1 it verifies X-VERIFY
+ * exactly like PhonePe (sha256(base64Payload + endpoint + saltKey) + '###' + saltIndex)
+ * and answers /pg/v1/pay, /pg/v1/status, /pg/v1/refund and /pg/v1/vpa/validate.
+ * For v2 it issues OAuth tokens from /v1/oauth/token and answers
+ * /checkout/v2/pay, /payments/v2/pay, /v2/validate/upi, the order status and
+ * the refund endpoints, rejecting missing or expired tokens.
+ * Payments can use the hosted page or the UPI intent, collect and QR
+ * instruments; UPI IDs starting with "unknown" do not exist, and UPI links
+ * and QR data name `payeeName` as the payee.
+ * It can be scripted to settle transactions as success, pending or failure
+ * and to send genuine or tampered S2S callbacks.
+ *
+ * Outcomes: SUCCESS, PENDING, FAILED.
+ */
+
+const INSTRUMENTS = ['PAY_PAGE', 'UPI_INTENT', 'UPI_COLLECT', 'UPI_QR'];
+
+const OUTCOMES = {
+    SUCCESS: { success: true, code: 'PAYMENT_SUCCESS', state: 'COMPLETED', responseCode: 'SUCCESS' },
+    PENDING: { success: true, code: 'PAYMENT_PENDING', state: 'PENDING', responseCode: 'PENDING' },
+    FAILED: { success: false, code: 'PAYMENT_ERROR', state: 'FAILED', responseCode: 'ZM' }
+};
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function createPhonePeSimulator({
+    merchantId,
+    saltKey,
+    saltIndex = '1',
+    defaultOutcome = 'SUCCESS',
+    clientId,
+    clientSecret,
+    clientVersion = '1',
+    tokenTtlSeconds = 3600,
+    webhookUrl,
+    webhookUsername,
+    webhookPassword,
+    payeeName = 'PhonePe Simulator'
+}) {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    const transactions = new Map();
+    const requests = [];
+    const tokens = new Map();
+    let tokensIssued = 0;
+    let server = null;
+    let baseUrl = '';
+    let nextOutcome = defaultOutcome;
+
+    function verifyRequest(req, res, signedValue) {
+        const expected = sha256(signedValue + saltKey) + '###' + saltIndex;
+
+        if (req.headers['x-verify'] !== expected || req.headers['x-merchant-id'] !== merchantId) {
+            res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'Invalid X-VERIFY header' });
+            return false;
+        }
+        return true;
+    }
+
+    function decodeRequest(req) {
+        return JSON.parse(Buffer.from(req.body.request, 'base64').toString());
+    }
+
+    function buildResponse(txn) {
+        const outcome = OUTCOMES[txn.outcome];
+        return {
+            success: outcome.success,
+            code: outcome.code,
+            message: `Simulated ${txn.outcome.toLowerCase()} transaction`,
+            data: {
+                merchantId,
+                merchantTransactionId: txn.merchantTransactionId,
+                transactionId: txn.transactionId,
+                amount: txn.amount,
+                state: outcome.state,
+                responseCode: outcome.responseCode,
+                paymentInstrument: txn.type === 'PAYMENT' ? { type: 'UPI', utr: txn.transactionId } : undefined
+            }
+        };
+    }
+
+    // v2 order / refund status body for a transaction
+    function buildV2Status(txn) {
+        const { state } = OUTCOMES[txn.outcome];
+        const detail = {
+            transactionId: txn.transactionId,
+            paymentMode: txn.paymentMode && txn.paymentMode !== 'PAY_PAGE' ? txn.paymentMode : 'UPI_QR',
+            timestamp: txn.createdAt,
+            amount: txn.amount,
+            state,
+            errorCode: state === 'FAILED' ? 'PAYMENT_DECLINED' : undefined
+        };
+
+        if (txn.type === 'REFUND') {
+            return {
+                merchantId,
+                merchantRefundId: txn.merchantTransactionId,
+                originalMerchantOrderId: txn.payload.originalMerchantOrderId,
+                refundId: txn.transactionId,
+                amount: txn.amount,
+                state,
+                paymentDetails: [detail]
+            };
+        }
+        return {
+            merchantId,
+            merchantOrderId: txn.merchantTransactionId,
+            orderId: txn.phonepeOrderId,
+            state,
+            amount: txn.amount,
+            expireAt: txn.expireAt,
+            paymentDetails: [detail]
+        };
+    }
+
+    // Deep link (and QR content) for a UPI transaction
+    function upiLink(txn) {
+        return `upi://pay?pa=simulator@ybl&pn=${encodeURIComponent(payeeName)}&am=${(txn.amount / 100).toFixed(2)}&tr=${txn.transactionId}&cu=INR`;
+    }
+
+    // What the pay endpoints return for each instrument
+    function buildInstrumentResponse(type, txn) {
+        switch (type) {
+            case 'UPI_INTENT': return { type, intentUrl: upiLink(txn) };
+            case 'UPI_QR': return { type, qrData: upiLink(txn), intentUrl: upiLink(txn) };
+            case 'UPI_COLLECT': return { type };
+            default: return { type: 'PAY_PAGE', redirectInfo: { url: `${baseUrl}/pay-page/${txn.merchantTransactionId}`, method: 'GET' } };
+        }
+    }
+
+    function isKnownVpa(vpa) {
+        return typeof vpa === 'string' && vpa.includes('@') && !vpa.startsWith('unknown');
+    }
+
+    function requireToken(req, res, next) {
+        const [type, accessToken] = (req.headers.authorization || '').split(' ');
+        const expiresAt = tokens.get(accessToken);
+
+        if (type !== 'O-Bearer' || !expiresAt || expiresAt <= Date.now()) {
+            return res.status(401).json({ code: 'UNAUTHORIZED', message: 'Invalid or expired access token' });
+        }
+        next();
+    }
+
+    app.use((req, res, next) => {
+        requests.push({ method: req.method, path: req.path, headers: req.headers, body: req.body });
+        next();
+    });
+
+    app.post('/pg/v1/pay', (req, res) => {
+        if (!req.body?.request) {
+            return res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'Missing request' });
+        }
+        if (!verifyRequest(req, res, req.body.request + '/pg/v1/pay')) return;
+
+        const payload = decodeRequest(req);
+        const instrument = payload.paymentInstrument || {};
+
+        if (payload.merchantId !== merchantId || !payload.merchantTransactionId || !(payload.amount > 0)) {
+            return res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'Invalid payload' });
+        }
+        if (!INSTRUMENTS.includes(instrument.type) || (instrument.type === 'UPI_COLLECT' && !instrument.vpa)) {
+            return res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'Invalid paymentInstrument' });
+        }
+        if (instrument.type === 'UPI_INTENT' && !payload.deviceContext?.deviceOS) {
+            return res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'deviceContext.deviceOS is required for UPI_INTENT' });
+        }
+
+        if (transactions.has(payload.merchantTransactionId)) {
+            return res.json({ success: false, code: 'DUPLICATE_TXN_REQUEST', message: 'Duplicate transaction' });
+        }
+
+        const txn = {
+            type: 'PAYMENT',
+            merchantTransactionId: payload.merchantTransactionId,
+            transactionId: 'SIM' + crypto.randomBytes(8).toString('hex').toUpperCase(),
+            amount: payload.amount,
+            redirectUrl: payload.redirectUrl,
+            callbackUrl: payload.callbackUrl,
+            paymentMode: instrument.type,
+            outcome: nextOutcome,
+            payload
+        };
+        transactions.set(txn.merchantTransactionId, txn);
+
+        res.json({
+            success: true,
+            code: 'PAYMENT_INITIATED',
+            message: 'Payment initiated',
+            data: {
+                merchantId,
+                merchantTransactionId: txn.merchantTransactionId,
+                instrumentResponse: buildInstrumentResponse(instrument.type, txn)
+            }
+        });
+    });
+
+    app.post('/pg/v1/vpa/validate', (req, res) => {
+        if (!req.body?.request) {
+            return res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'Missing request' });
+        }
+        if (!verifyRequest(req, res, req.body.request + '/pg/v1/vpa/validate')) return;
+
+        const { vpa } = decodeRequest(req);
+        if (!isKnownVpa(vpa)) {
+            return res.json({ success: false, code: 'INVALID_VPA', message: 'VPA not found' });
+        }
+        res.json({ success: true, code: 'SUCCESS', message: 'Valid VPA', data: { vpa, name: 'Simulated Customer' } });
+    });
+
+    app.post('/pg/v1/refund', (req, res) => {
+        if (!req.body?.request) {
+            return res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'Missing request' });
+        }
+        if (!verifyRequest(req, res, req.body.request + '/pg/v1/refund')) return;
+
+        const payload = decodeRequest(req);
+        const original = transactions.get(payload.originalTransactionId);
+
+        if (!original || original.outcome !== 'SUCCESS') {
+            return res.json({ success: false, code: 'TRANSACTION_NOT_FOUND', message: 'Original transaction not found' });
+        }
+
+        const refund = {
+            type: 'REFUND',
+            merchantTransactionId: payload.merchantTransactionId,
+            transactionId: 'SIMRF' + crypto.randomBytes(6).toString('hex').toUpperCase(),
+            amount: payload.amount,
+            callbackUrl: payload.callbackUrl,
+            outcome: nextOutcome,
+            payload
+        };
+        transactions.set(payload.merchantTransactionId, refund);
+
+        res.json(buildResponse(refund));
+    });
+
+    app.get('/pg/v1/status/:merchantId/:merchantTransactionId', (req, res) => {
+        if (!verifyRequest(req, res, req.path)) return;
+
+        const txn = transactions.get(req.params.merchantTransactionId);
+
+        if (req.params.merchantId !== merchantId || !txn) {
+            return res.json({ success: false, code: 'TRANSACTION_NOT_FOUND', message: 'No transaction found' });
+        }
+
+        res.json(buildResponse(txn));
+    });
+
+    // --- Standard Checkout v2 ---
+
+    app.post('/v1/oauth/token', (req, res) => {
+        const { client_id: id, client_secret: secret, client_version: version, grant_type: grantType } = req.body || {};
+
+        if (id !== clientId || secret !== clientSecret || version !== clientVersion || grantType !== 'client_credentials') {
+            return res.status(401).json({ code: 'INVALID_CLIENT', message: 'Invalid client credentials' });
+        }
+
+        const accessToken = crypto.randomBytes(24).toString('hex');
+        const issuedAt = Math.floor(Date.now() / 1000);
+        tokens.set(accessToken, (issuedAt + tokenTtlSeconds) * 1000);
+        tokensIssued++;
+
+        res.json({
+            access_token: accessToken,
+            issued_at: issuedAt,
+            expires_at: issuedAt + tokenTtlSeconds,
+            token_type: 'O-Bearer'
+        });
+    });
+
+    // Records a v2 payment, or answers 400 and returns null
+    function createV2Payment(req, res, { flowType, isValid, paymentMode }) {
+        const payload = req.body || {};
+
+        if (!payload.merchantOrderId || !(payload.amount > 0) || payload.paymentFlow?.type !== flowType || !isValid(payload.paymentFlow)) {
+            res.status(400).json({ code: 'BAD_REQUEST', message: 'Invalid payload' });
+            return null;
+        }
+
+        if (transactions.has(payload.merchantOrderId)) {
+            res.status(400).json({ code: 'BAD_REQUEST', message: 'Duplicate merchantOrderId' });
+            return null;
+        }
+
+        const txn = {
+            type: 'PAYMENT',
+            apiVersion: 'v2',
+            merchantTransactionId: payload.merchantOrderId,
+            phonepeOrderId: 'OMO' + crypto.randomBytes(8).toString('hex').toUpperCase(),
+            transactionId: 'OM' + crypto.randomBytes(8).toString('hex').toUpperCase(),
+            amount: payload.amount,
+            redirectUrl: payload.paymentFlow.merchantUrls?.redirectUrl,
+            callbackUrl: webhookUrl,
+            createdAt: Date.now(),
+            expireAt: Date.now() + (payload.expireAfter || 1200) * 1000,
+            paymentMode: paymentMode(payload.paymentFlow),
+            outcome: nextOutcome,
+            payload
+        };
+        transactions.set(txn.merchantTransactionId, txn);
+        return txn;
+    }
+
+    app.post('/checkout/v2/pay', requireToken, (req, res) => {
+        const txn = createV2Payment(req, res, {
+            flowType: 'PG_CHECKOUT',
+            isValid: flow => Boolean(flow.merchantUrls?.redirectUrl),
+            paymentMode: () => 'PAY_PAGE'
+        });
+        if (!txn) return;
+
+        res.json({
+            orderId: txn.phonepeOrderId,
+            state: 'PENDING',
+            expireAt: txn.expireAt,
+            redirectUrl: `${baseUrl}/pay-page/${txn.merchantTransactionId}`
+        });
+    });
+
+    // Custom checkout: UPI intent, collect and QR
+    app.post('/payments/v2/pay', requireToken, (req, res) => {
+        const txn = createV2Payment(req, res, {
+            flowType: 'PG',
+            isValid: ({ paymentMode = {} }) => INSTRUMENTS.includes(paymentMode.type) && paymentMode.type !== 'PAY_PAGE'
+                && (paymentMode.type !== 'UPI_COLLECT' || Boolean(paymentMode.details?.vpa)),
+            paymentMode: flow => flow.paymentMode.type
+        });
+        if (!txn) return;
+
+        const { intentUrl, qrData } = buildInstrumentResponse(txn.paymentMode, txn);
+        res.json({ orderId: txn.phonepeOrderId, state: 'PENDING', expireAt: txn.expireAt, intentUrl, qrData });
+    });
+
+    app.post('/v2/validate/upi', requireToken, (req, res) => {
+        const { type, vpa } = req.body || {};
+        if (type !== 'VPA') {
+            return res.status(400).json({ code: 'BAD_REQUEST', message: 'Invalid payload' });
+        }
+        res.json(isKnownVpa(vpa) ? { valid: true, name: 'Simulated Customer' } : { valid: false });
+    });
+
+    app.get('/checkout/v2/order/:merchantOrderId/status', requireToken, (req, res) => {
+        const txn = transactions.get(req.params.merchantOrderId);
+
+        if (!txn || txn.type !== 'PAYMENT') {
+            return res.status(404).json({ code: 'ORDER_NOT_FOUND', message: 'No order found' });
+        }
+        res.json(buildV2Status(txn));
+    });
+
+    app.post('/payments/v2/refund', requireToken, (req, res) => {
+        const payload = req.body || {};
+        const original = transactions.get(payload.originalMerchantOrderId);
+
+        if (!original || original.outcome !== 'SUCCESS') {
+            return res.status(400).json({ code: 'ORDER_NOT_FOUND', message: 'Original order not found' });
+        }
+
+        const refund = {
+            type: 'REFUND',
+            apiVersion: 'v2',
+            merchantTransactionId: payload.merchantRefundId,
+            transactionId: 'OMR' + crypto.randomBytes(6).toString('hex').toUpperCase(),
+            amount: payload.amount,
+            callbackUrl: webhookUrl,
+            createdAt: Date.now(),
+            outcome: nextOutcome,
+            payload
+        };
+        transactions.set(refund.merchantTransactionId, refund);
+
+        const { refundId, amount, state } = buildV2Status(refund);
+        res.json({ refundId, amount, state });
+    });
+
+    app.get('/payments/v2/refund/:merchantRefundId/status', requireToken, (req, res) => {
+        const txn = transactions.get(req.params.merchantRefundId);
+
+        if (!txn || txn.type !== 'REFUND') {
+            return res.status(404).json({ code: 'REFUND_NOT_FOUND', message: 'No refund found' });
+        }
+        res.json(buildV2Status(txn));
+    });
+
+    // Hosted pay page: completes the payment with its scripted outcome and sends the browser back
+    app.get('/pay-page/:merchantTransactionId', (req, res) => {
+        const txn = transactions.get(req.params.merchantTransactionId);
+        if (!txn) return res.status(404).send('<h1>Unknown transaction</h1>');
+        res.redirect(txn.redirectUrl);
+    });
+
+    // --- Scripting endpoints, for driving the sandbox by hand ---
+
+    app.post('/__sim/outcome', (req, res) => {
+        try {
+            setNextOutcome(req.body.outcome);
+            res.json({ success: true, nextOutcome });
+        } catch (error) {
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
+    app.post('/__sim/transactions/:merchantTransactionId/outcome', (req, res) => {
+        try {
+            setOutcome(req.params.merchantTransactionId, req.body.outcome);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
+    app.post('/__sim/transactions/:merchantTransactionId/callback', async (req, res) => {
+        try {
+            const response = await sendCallback(req.params.merchantTransactionId, req.body || {});
+            res.json({ success: true, status: response.status });
+        } catch (error) {
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
+    function getTransaction(merchantTransactionId) {
+        const txn = transactions.get(merchantTransactionId);
+        if (!txn) throw new Error(`Unknown transaction ${merchantTransactionId}`);
+        return txn;
+    }
+
+    function assertOutcome(outcome) {
+        if (!OUTCOMES[outcome]) throw new Error(`Unknown outcome ${outcome}`);
+    }
+
+    /**
+     * Outcome given to transactions created from now on.
+     */
+    function setNextOutcome(outcome) {
+        assertOutcome(outcome);
+        nextOutcome = outcome;
+    }
+
+    /**
+     * Changes the outcome of an existing transaction (e.g. PENDING -> SUCCESS).
+     */
+    function setOutcome(merchantTransactionId, outcome) {
+        assertOutcome(outcome);
+        getTransaction(merchantTransactionId).outcome = outcome;
+    }
+
+    /**
+     * v2 webhook: { event, payload } authenticated by sha256(username:password).
+     * A tampered one is a forged success with the wrong credentials.
+     */
+    function buildV2Callback(txn, tamper) {
+        const forged = tamper ? { ...txn, outcome: 'SUCCESS' } : txn;
+        const payload = buildV2Status(forged);
+        const failed = payload.state === 'FAILED';
+        const event = txn.type === 'REFUND'
+            ? (failed ? 'pg.refund.failed' : 'pg.refund.completed')
+            : (failed ? 'checkout.order.failed' : 'checkout.order.completed');
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (tamper !== 'unsigned') {
+            const password = tamper ? 'wrong-password' : webhookPassword;
+            headers.Authorization = sha256(`${webhookUsername}:${password}`);
+        }
+
+        return { url: txn.callbackUrl, headers, body: { event, payload } };
+    }
+
+    /**
+     * Builds the S2S callback PhonePe would POST for a transaction.
+     * `tamper: true` rewrites the payload to a success after signing it,
+     * `tamper: 'unsigned'` omits the X-VERIFY header altogether.
+     * `saltKey` / `saltIndex` sign with another key, e.g. one mid-rotation.
+     */
+    function buildCallback(merchantTransactionId, { tamper = false, saltKey: signingKey = saltKey, saltIndex: signingIndex = saltIndex } = {}) {
+        const txn = getTransaction(merchantTransactionId);
+        if (txn.apiVersion === 'v2') return buildV2Callback(txn, tamper);
+
+        const signed = Buffer.from(JSON.stringify(buildResponse(txn))).toString('base64');
+        const headers = { 'Content-Type': 'application/json' };
+        let response = signed;
+
+        if (tamper) {
+            const forged = buildResponse({ ...txn, outcome: 'SUCCESS' });
+            response = Buffer.from(JSON.stringify(forged)).toString('base64');
+        }
+        if (tamper !== 'unsigned') {
+            headers['X-VERIFY'] = sha256(signed + signingKey) + '###' + signingIndex;
+        }
+
+        return { url: txn.callbackUrl, headers, body: { response } };
+    }
+
+    /**
+     * POSTs the S2S callback to the transaction's callbackUrl (or `url`).
+     */
+    async function sendCallback(merchantTransactionId, options = {}) {
+        const callback = buildCallback(merchantTransactionId, options);
+        return fetch(options.url || callback.url, {
+            method: 'POST',
+            headers: callback.headers,
+            body: JSON.stringify(callback.body)
+        });
+    }
+
+    function listen(port = 0) {
+        return new Promise(resolve => {
+            server = app.listen(port, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                resolve(baseUrl);
+            });
+        });
+    }
+
+    function close() {
+        return new Promise(resolve => (server ? server.close(resolve) : resolve()));
+    }
+
+    return {
+        app,
+        listen,
+        close,
+        setNextOutcome,
+        setOutcome,
+        buildCallback,
+        sendCallback,
+        getTransaction,
+        transactions,
+        requests,
+        getTokensIssued: () => tokensIssued,
+        // Invalidates every issued token, like PhonePe revoking them early
+        revokeTokens: () => tokens.clear()
+    };
+}
+
+module.exports = { createPhonePeSimulator };
+
+// Standalone sandbox: `npm run sandbox`, then set PHONEPE_BASE_URL to the printed URL
+if (require.main === module) {
+    require('dotenv').config();
+
+    const simulator = createPhonePeSimulator({
+        merchantId: process.env.PHONEPE_MERCHANT_ID,
+        saltKey: process.env.PHONEPE_SALT_KEY,
+        saltIndex: process.env.PHONEPE_SALT_INDEX,
+        defaultOutcome: process.env.SIMULATOR_OUTCOME || 'SUCCESS',
+        clientId: process.env.PHONEPE_CLIENT_ID,
+        clientSecret: process.env.PHONEPE_CLIENT_SECRET,
+        clientVersion: process.env.PHONEPE_CLIENT_VERSION,
+        webhookUrl: process.env.REDIRECT_URL,
+        webhookUsername: process.env.PHONEPE_CALLBACK_USERNAME,
+        webhookPassword: process.env.PHONEPE_CALLBACK_PASSWORD
+    });
+
+    simulator.listen(parseInt(process.env.SIMULATOR_PORT || '4000', 10)).then(url => {
+        console.log(`🧪 PhonePe simulator running at ${url}`);
+        console.log(`   Set PHONEPE_BASE_URL=${url} for the payment server`);
+    });
+}
@@ -0,0 +1,42 @@
+const { rateLimit } = require('express-rate-limit');
+const { logger } = require('./logger');
+
+/**
+ * Rate limits for the public payment and status routes, so a script cannot
+ * turn our endpoints into a flood of PhonePe API calls.
+ *
+ * Each limiter counts requests per key in a fixed window, in memory (one
+ * server process). By IP they use req.ip, so set TRUST_PROXY when running
+ * behind a load balancer. Over the limit the answer is
+ *
+ *   429 { success: false, code: 'RATE_LIMITED', message, retryAfter }
+ *
+ * with the standard RateLimit and Retry-After headers.
+ */
+
+const log = logger.child({ component: 'rate-limit' });
+
+/**
+ * `keyGenerator(req)` picks what is counted; the client IP by default.
+ */
+function createRateLimiter({ name, windowMs, limit, keyGenerator }) {
+    return rateLimit({
+        windowMs,
+        limit,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        ...(keyGenerator && { keyGenerator }),
+        handler(req, res) {
+            const retryAfter = Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000);
+            log.warn('Rate limit exceeded', { limiter: name, path: req.path, limit });
+            res.status(429).json({
+                success: false,
+                code: 'RATE_LIMITED',
+                message: 'Too many requests. Please wait a moment and try again.',
+                retryAfter: Math.max(retryAfter, 1)
+            });
+        }
+    });
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,171 @@
+/**
+ * Background reconciliation of PAYMENT_PENDING orders.
+ *
+ * Follows PhonePe's recommended status polling schedule: first check
+ * 20 seconds after the payment starts, then every 3s for 30s, every 6s for
+ * 60s, every 10s for 60s, every 30s for 60s and once a minute after that,
+ * until the payment window expires and the order is marked EXPIRED.
+ *
+ * All state (checks made, next check time) lives on the order's payment
+ * attempt, so a restarted server simply picks up where it left off.
+ */
+
+const { attemptStatusForCode, getAttempts, getCurrentAttempt, recordAttemptStatus } = require('./paymentAttempts');
+const { SOURCES } = require('./orderLifecycle');
+const { logger, runWithLogContext } = require('./logger');
+
+const log = logger.child({ component: 'reconciliation' });
+
+const INITIAL_DELAY_MS = 20 * 1000;
+
+// Poll interval by time elapsed since the payment attempt started
+const POLL_INTERVALS = [
+    { untilMs: 50 * 1000, everyMs: 3 * 1000 },
+    { untilMs: 110 * 1000, everyMs: 6 * 1000 },
+    { untilMs: 170 * 1000, everyMs: 10 * 1000 },
+    { untilMs: 230 * 1000, everyMs: 30 * 1000 },
+    { untilMs: Infinity, everyMs: 60 * 1000 }
+];
+
+function getPollInterval(elapsedMs) {
+    return POLL_INTERVALS.find(p => elapsedMs < p.untilMs).everyMs;
+}
+
+function createReconciliationWorker({ orderRepository, checkPaymentStatus, onStatusChange, expiryMs, tickMs = 1000 }) {
+    let timer = null;
+    let running = false;
+
+    // Reconciliation state is kept per payment attempt, timed from when that attempt started
+    function getState(attempt) {
+        const startedAt = Date.parse(attempt.createdAt);
+        const state = attempt.reconciliation || {};
+
+        return {
+            checks: state.checks || [],
+            nextCheckAt: state.nextCheckAt || new Date(startedAt + INITIAL_DELAY_MS).toISOString(),
+            expiresAt: new Date(startedAt + expiryMs).toISOString()
+        };
+    }
+
+    /**
+     * Checks an order's current payment attempt with PhonePe and records the
+     * check. Attempts still pending past the expiry window become EXPIRED.
+     */
+    async function reconcileOrder(order, merchantTransactionId) {
+        const orderId = order.orderID;
+        let code;
+        let statusResponse;
+
+        try {
+            statusResponse = await checkPaymentStatus(order, merchantTransactionId);
+            code = statusResponse.code;
+        } catch (error) {
+            code = 'STATUS_CHECK_ERROR';
+            statusResponse = { message: error.message };
+        }
+
+        const now = new Date();
+        let newStatus;
+
+        const updated = orderRepository.update(orderId, current => {
+            const attempt = getAttempts(current).find(a => a.merchantTransactionId === merchantTransactionId);
+
+            // Settled by a callback or /check-payment while we were waiting on PhonePe
+            if (current.status !== 'PAYMENT_PENDING' || attempt?.status !== 'PENDING') return false;
+
+            const state = getState(attempt);
+            const expired = now.toISOString() >= state.expiresAt;
+            // Only codes that settle the payment end it; anything else is retried until the window closes
+            const settled = attemptStatusForCode(code);
+            newStatus = settled && settled !== 'PENDING' ? settled : expired ? 'EXPIRED' : 'PENDING';
+
+            state.checks.push({ at: now.toISOString(), code, resultingStatus: newStatus });
+            state.nextCheckAt = new Date(now.getTime() + getPollInterval(now - Date.parse(attempt.createdAt))).toISOString();
+            attempt.reconciliation = state;
+            current.paymentAttempts = current.paymentAttempts || [attempt];
+
+            if (newStatus === 'PENDING') return;
+
+            recordAttemptStatus(current, merchantTransactionId, {
+                status: newStatus,
+                code,
+                transactionId: statusResponse.data?.transactionId,
+                source: SOURCES.POLL
+            });
+        });
+
+        if (updated && newStatus && newStatus !== 'PENDING') {
+            log.info('Reconciled pending payment', { orderId, merchantTransactionId, status: newStatus, code });
+            onStatusChange(updated);
+        }
+    }
+
+    /**
+     * Runs every due check once. Orders are processed one at a time so a slow
+     * gateway never piles up overlapping requests.
+     */
+    async function runOnce() {
+        if (running) return;
+        running = true;
+
+        try {
+            const now = new Date().toISOString();
+            const due = orderRepository
+                .list({ status: 'PAYMENT_PENDING' })
+                .filter(order => getState(getCurrentAttempt(order)).nextCheckAt <= now);
+
+            for (const order of due) {
+                const { merchantTransactionId } = getCurrentAttempt(order);
+                await runWithLogContext({ orderId: order.orderID, merchantTransactionId }, () => reconcileOrder(order, merchantTransactionId));
+            }
+        } catch (error) {
+            log.error('Reconciliation run failed', { error });
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(runOnce, tickMs);
+        timer.unref();
+        log.info('Reconciliation worker started');
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    /**
+     * Pending orders with their reconciliation state, soonest check first.
+     */
+    function getQueue() {
+        return orderRepository
+            .list({ status: 'PAYMENT_PENDING' })
+            .map(order => {
+                const attempt = getCurrentAttempt(order);
+                const state = getState(attempt);
+                return {
+                    orderID: order.orderID,
+                    merchantTransactionId: attempt.merchantTransactionId,
+                    createdAt: attempt.createdAt,
+                    checks: state.checks.length,
+                    lastCheck: state.checks[state.checks.length - 1] || null,
+                    nextCheckAt: state.nextCheckAt,
+                    expiresAt: state.expiresAt
+                };
+            })
+            .sort((a, b) => a.nextCheckAt.localeCompare(b.nextCheckAt));
+    }
+
+    return {
+        start,
+        stop,
+        runOnce,
+        getQueue,
+        isRunning: () => timer !== null
+    };
+}
+
+module.exports = { createReconciliationWorker };
@@ -0,0 +1,214 @@
+const { html, json } = require('./templates');
+const { getTranslator } = require('./i18n');
+const { isPaid, PAID_STATUSES } = require('./paymentAttempts');
+
+/**
+ * Payment result pages shown to customers after PhonePe redirects back, in
+ * the storefront's branding and the customer's locale (see i18n.js).
+ *
+ * The pending page polls /check-payment/:orderId, with the order's status
+ * token so it gets the whole order, and swaps itself for the success or
+ * failure view once the payment settles, so customers never need to reload.
+ * All values go through the auto-escaping html`` templates.
+ */
+
+const POLL_INTERVAL_MS = 5000;
+const MAX_POLLS = 60;
+
+const TONES = {
+    success: { background: '#f0f8ff', heading: 'green', icon: '✅' },
+    pending: { background: '#fff9e6', heading: 'orange', icon: '⏳' },
+    failure: { background: '#fff5f5', heading: 'red', icon: '❌' }
+};
+
+function layout({ locale, branding, title, tone, body }) {
+    const t = getTranslator(locale);
+    const colors = TONES[tone];
+
+    return html`<!DOCTYPE html>
+<html lang="${locale}">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${branding.storeName ? `${title} | ${branding.storeName}` : title}</title>
+    <style>
+      body { font-family: Arial, sans-serif; text-align: center; padding: 50px 20px; background: ${colors.background}; margin: 0; }
+      .brand { margin-bottom: 10px; font-size: 20px; font-weight: 600; color: #333; }
+      .brand img { max-height: 60px; max-width: 200px; display: block; margin: 0 auto 8px; }
+      .success { color: green; font-size: 28px; margin: 20px 0; }
+      .pending { color: orange; font-size: 28px; margin: 20px 0; }
+      .failure { color: red; font-size: 28px; margin: 20px 0; }
+      .details { background: white; padding: 30px; border-radius: 12px; margin: 20px auto; max-width: 500px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); text-align: left; }
+      .details p { margin: 10px 0; font-size: 15px; color: #333; }
+      .message { font-size: 16px; color: #666; }
+      .btn { background: ${branding.primaryColor}; color: white; padding: 14px 28px; border: none; border-radius: 8px; cursor: pointer; font-size: 16px; margin: 10px; text-decoration: none; display: inline-block; font-weight: 600; }
+      .btn:hover { opacity: 0.9; }
+      .btn-secondary { background: #6c757d; }
+      .support { margin-top: 30px; font-size: 14px; color: #666; }
+      .support a { color: ${branding.primaryColor}; }
+    </style>
+  </head>
+  <body>
+    ${(branding.logoUrl || branding.storeName) && html`
+    <div class="brand">
+      ${branding.logoUrl && html`<img src="${branding.logoUrl}" alt="${branding.storeName}">`}
+      ${branding.storeName}
+    </div>`}
+    ${body}
+    ${(branding.supportEmail || branding.supportPhone) && html`
+    <p class="support">
+      ${t('support.heading')}
+      ${branding.supportEmail && html`<a href="mailto:${branding.supportEmail}">${branding.supportEmail}</a>`}
+      ${branding.supportPhone && html`<a href="tel:${branding.supportPhone.replace(/[^\d+]/g, '')}">${branding.supportPhone}</a>`}
+    </p>`}
+  </body>
+</html>`;
+}
+
+function successView({ t, order, frontendUrl, invoiceUrl, hidden = false }) {
+    const notAvailable = t('notAvailable');
+    return html`
+    <section id="success"${hidden && html` hidden`}>
+      <h1 class="success">${TONES.success.icon} ${t('success.heading')}</h1>
+      <div class="details">
+        <p><strong>${t('label.orderId')}:</strong> ${order.orderID}</p>
+        <p><strong>${t('label.transactionId')}:</strong> <span data-field="transactionId">${order.phonepeTransactionId || notAvailable}</span></p>
+        <p><strong>${t('label.amountPaid')}:</strong> <span data-field="amount">₹${order.totalAmount || notAvailable}</span></p>
+        <p><strong>${t('label.customer')}:</strong> <span data-field="name">${order.name || notAvailable}</span></p>
+      </div>
+      <p class="message">${t('success.message')}</p>
+      <a href="${frontendUrl}/cart.html?payment=success&orderId=${encodeURIComponent(order.orderID)}" class="btn">${t('button.viewOrder')}</a>
+      ${invoiceUrl && html`<a href="${invoiceUrl}" class="btn btn-secondary" target="_blank">${t('button.downloadInvoice')}</a>`}
+      <button onclick="window.close()" class="btn btn-secondary">${t('button.close')}</button>
+    </section>`;
+}
+
+function failureView({ t, order, frontendUrl, hidden = false }) {
+    return html`
+    <section id="failure"${hidden && html` hidden`}>
+      <h1 class="failure">${TONES.failure.icon} ${t('failure.heading')}</h1>
+      <p style="font-size: 16px;"><strong>${t('label.orderId')}:</strong> ${order.orderID || t('notAvailable')}</p>
+      <p class="message">${t('failure.message')}</p>
+      <a href="${frontendUrl}/cart.html" class="btn">${t('button.returnToCart')}</a>
+      <button onclick="window.close()" class="btn btn-secondary">${t('button.close')}</button>
+    </section>`;
+}
+
+function pendingView({ t, order, frontendUrl }) {
+    return html`
+    <section id="pending">
+      <h1 class="pending">${TONES.pending.icon} ${t('pending.heading')}</h1>
+      <p style="font-size: 16px;"><strong>${t('label.orderId')}:</strong> ${order.orderID}</p>
+      <p class="message" id="pending-message">${t('pending.message')}</p>
+      <a href="${frontendUrl}/cart.html" class="btn">${t('button.checkStatus')}</a>
+      <button onclick="window.close()" class="btn btn-secondary">${t('button.close')}</button>
+    </section>`;
+}
+
+// Polls the order and reveals the success or failure section once it settles
+function pollScript({ t, order, statusToken }) {
+    const config = {
+        statusUrl: `/check-payment/${encodeURIComponent(order.orderID)}${statusToken ? `?token=${encodeURIComponent(statusToken)}` : ''}`,
+        paidStatuses: PAID_STATUSES,
+        pendingStatuses: ['CREATED', 'PAYMENT_PENDING'],
+        intervalMs: POLL_INTERVAL_MS,
+        maxPolls: MAX_POLLS,
+        notAvailable: t('notAvailable'),
+        timeoutMessage: t('pending.timeout')
+    };
+
+    return html`
+    <script>
+      (function () {
+        var config = ${json(config)};
+        var polls = 0;
+
+        function show(id) {
+          document.getElementById('pending').hidden = true;
+          document.getElementById(id).hidden = false;
+        }
+
+        function fill(field, value) {
+          document.querySelector('[data-field="' + field + '"]').textContent = value || config.notAvailable;
+        }
+
+        function poll() {
+          polls++;
+          fetch(config.statusUrl, { headers: { Accept: 'application/json' } })
+            .then(function (response) { return response.json(); })
+            .then(function (body) {
+              if (body.success && config.paidStatuses.indexOf(body.status) !== -1) {
+                // Without a status token only the status comes back
+                var order = body.order || {};
+                fill('transactionId', order.phonepeTransactionId);
+                fill('amount', order.totalAmount && '₹' + order.totalAmount);
+                fill('name', order.name);
+                return show('success');
+              }
+              if (body.success && config.pendingStatuses.indexOf(body.status) === -1) {
+                return show('failure');
+              }
+              next();
+            })
+            .catch(next);
+        }
+
+        function next() {
+          if (polls < config.maxPolls) {
+            setTimeout(poll, config.intervalMs);
+          } else {
+            document.getElementById('pending-message').textContent = config.timeoutMessage;
+          }
+        }
+
+        setTimeout(poll, config.intervalMs);
+      })();
+    </script>`;
+}
+
+/**
+ * The result page for an order's current status: success, failure, or a
+ * pending page that turns into either.
+ */
+function renderPaymentResult({ order, locale, branding, frontendUrl, invoiceUrl, statusToken }) {
+    const t = getTranslator(locale);
+
+    if (isPaid(order)) {
+        return String(layout({
+            locale, branding, title: t('success.title'), tone: 'success',
+            body: successView({ t, order, frontendUrl, invoiceUrl })
+        }));
+    }
+
+    if (order.status === 'PAYMENT_PENDING') {
+        return String(layout({
+            locale, branding, title: t('pending.title'), tone: 'pending',
+            body: html`
+                ${pendingView({ t, order, frontendUrl })}
+                ${successView({ t, order, frontendUrl, invoiceUrl, hidden: true })}
+                ${failureView({ t, order, frontendUrl, hidden: true })}
+                ${pollScript({ t, order, statusToken })}`
+        }));
+    }
+
+    return String(layout({
+        locale, branding, title: t('failure.title'), tone: 'failure',
+        body: failureView({ t, order, frontendUrl })
+    }));
+}
+
+/**
+ * A short error page ('notFound', 'noData' or 'error') for callbacks that
+ * cannot show an order.
+ */
+function renderMessagePage({ key, locale, branding }) {
+    const t = getTranslator(locale);
+    return String(layout({
+        locale, branding, title: t(`${key}.title`), tone: 'failure',
+        body: html`
+    <h1 class="failure">${t(`${key}.title`)}</h1>
+    <p class="message">${t(`${key}.message`)}</p>`
+    }));
+}
+
+module.exports = { renderPaymentResult, renderMessagePage };
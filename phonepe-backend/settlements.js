@@ -0,0 +1,505 @@
+const fs = require('fs');
+const { getAttempts, isPaid } = require('./paymentAttempts');
+const { logger } = require('./logger');
+
+/**
+ * PhonePe settlement / transaction report import and reconciliation.
+ *
+ * A report is a CSV export from the PhonePe dashboard. Columns are found by
+ * header name (see COLUMNS; case, spaces and punctuation are ignored) so both
+ * the settlement and the transaction report work. Amounts are rupees, dates
+ * are read as IST. Tax is the sum of every tax column present (GST, or
+ * CGST + SGST + IGST).
+ *
+ * Every row is matched to an order by merchantTransactionId, falling back to
+ * PhonePe's transaction id; refund rows are matched to the order's refund.
+ * The report lists one line per row, plus every order paid in the window
+ * that has no settlement in this or an earlier import:
+ *
+ *   MATCHED              settled for the amount we expected
+ *   AMOUNT_MISMATCH      settled for a different amount
+ *   SETTLED_BUT_FAILED   PhonePe settled it, our order is not paid
+ *   REPORTED_FAILED      PhonePe reports it failed, our order is paid
+ *   UNKNOWN_TRANSACTION  no order or refund with that id
+ *   PAID_NOT_SETTLED     our order is paid, PhonePe has not settled it
+ *
+ * The window defaults to the transaction dates in the file; without any,
+ * PAID_NOT_SETTLED needs `from` / `to`. Settled rows are stored so later
+ * imports know what has already been settled; importing a file twice does
+ * not double-count. Every import keeps its report for the CSV export.
+ *
+ * Command line:
+ *   node settlements.js import <report.csv> [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--out reconciliation.csv]
+ */
+
+const log = logger.child({ component: 'settlements' });
+
+// Field -> accepted header names, normalized (lower case, letters and digits only)
+const COLUMNS = {
+    merchantTransactionId: ['merchanttransactionid', 'merchantorderid', 'merchanttxnid', 'merchantreferenceid', 'merchantrefundid'],
+    phonepeTransactionId: ['transactionid', 'phonepetransactionid', 'phonepereferenceid', 'providerreferenceid', 'pgtransactionid', 'refundid'],
+    type: ['transactiontype', 'txntype', 'type'],
+    status: ['status', 'transactionstatus', 'paymentstatus'],
+    amount: ['amount', 'transactionamount', 'txnamount', 'grossamount', 'totalamount'],
+    fee: ['fee', 'fees', 'totalfees', 'mdr', 'mdramount', 'pgfee', 'commission'],
+    netAmount: ['netamount', 'settlementamount', 'settledamount', 'netsettlementamount', 'netpayable'],
+    transactionDate: ['transactiondate', 'txndate', 'transactiontime', 'paymentdate', 'createdat'],
+    settledAt: ['settlementdate', 'settledon', 'settlementtime', 'payoutdate'],
+    utr: ['utr', 'settlementutr', 'bankreference', 'settlementreference']
+};
+const TAX_COLUMNS = ['gst', 'tax', 'igst', 'cgst', 'sgst', 'gstonfee', 'taxonfee', 'servicetax'];
+
+// Row statuses that mean the money moved; a report without a status column only lists those
+const SUCCESS_STATUSES = ['SUCCESS', 'COMPLETED', 'SETTLED', 'PAYMENT_SUCCESS', 'PAID'];
+
+const ISSUES = ['MATCHED', 'AMOUNT_MISMATCH', 'SETTLED_BUT_FAILED', 'REPORTED_FAILED', 'UNKNOWN_TRANSACTION', 'PAID_NOT_SETTLED'];
+
+const EXPORT_COLUMNS = [
+    ['issue', 'Issue'],
+    ['type', 'Type'],
+    ['merchantTransactionId', 'Merchant Transaction ID'],
+    ['phonepeTransactionId', 'PhonePe Transaction ID'],
+    ['orderId', 'Order ID'],
+    ['orderStatus', 'Order Status'],
+    ['reportedAmount', 'Reported Amount'],
+    ['expectedAmount', 'Expected Amount'],
+    ['fee', 'Fee'],
+    ['tax', 'Tax'],
+    ['netAmount', 'Net Amount'],
+    ['settledAt', 'Settled At'],
+    ['utr', 'UTR'],
+    ['note', 'Note']
+];
+
+class SettlementReportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SettlementReportError';
+    }
+}
+
+// --- CSV ---
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF) into
+ * arrays of strings, skipping blank lines.
+ */
+function parseCsv(text) {
+    const input = String(text).replace(/^﻿/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Spreadsheets run cells starting with = + - @ as formulas; numbers are left alone
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- REPORT ROWS ---
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "₹1,234.50" -> 123450 paise; refunds are often negative in reports, so the sign is dropped
+function parseAmount(value) {
+    const text = String(value ?? '').replace(/[₹,\s]/g, '').replace(/^INR/i, '');
+    if (text === '') return null;
+    const amount = Number(text);
+    return isNaN(amount) ? null : Math.abs(Math.round(amount * 100));
+}
+
+/**
+ * Reads a report date as IST: 2026-10-19, 2026-10-19 14:05:00, 19-10-2026,
+ * 19/10/2026 14:05 or an ISO timestamp. Returns an ISO string or null.
+ */
+function parseReportDate(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/)
+        || text.match(/^(\d{2})[-/](\d{2})[-/](\d{4})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+        const [year, month, day] = match[1].length === 4 ? [match[1], match[2], match[3]] : [match[3], match[2], match[1]];
+        const date = new Date(`${year}-${month}-${day}T${match[4] || '00'}:${match[5] || '00'}:${match[6] || '00'}+05:30`);
+        return isNaN(date) ? null : date.toISOString();
+    }
+
+    const date = new Date(text);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Maps a report's CSV text to settlement rows. Throws SettlementReportError
+ * when the file has no rows or no transaction id column.
+ */
+function readSettlementRows(text) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header || lines.length === 0) throw new SettlementReportError('The report has no rows.');
+
+    const headers = header.map(normalizeHeader);
+    const indexOf = field => COLUMNS[field].map(name => headers.indexOf(name)).find(index => index !== -1) ?? -1;
+    const columns = Object.fromEntries(Object.keys(COLUMNS).map(field => [field, indexOf(field)]));
+    const taxColumns = TAX_COLUMNS.map(name => headers.indexOf(name)).filter(index => index !== -1);
+
+    if (columns.merchantTransactionId === -1 && columns.phonepeTransactionId === -1) {
+        throw new SettlementReportError('The report needs a merchant transaction id or PhonePe transaction id column.');
+    }
+    if (columns.amount === -1) {
+        throw new SettlementReportError('The report needs an amount column.');
+    }
+
+    const cell = (cells, field) => (columns[field] === -1 ? '' : String(cells[columns[field]] ?? '').trim());
+
+    return lines.map((cells, index) => {
+        const status = cell(cells, 'status').toUpperCase();
+        return {
+            line: index + 2,
+            type: /REFUND|REVERSAL/i.test(cell(cells, 'type')) ? 'REFUND' : 'PAYMENT',
+            merchantTransactionId: cell(cells, 'merchantTransactionId') || null,
+            phonepeTransactionId: cell(cells, 'phonepeTransactionId') || null,
+            status: status || null,
+            success: !status || SUCCESS_STATUSES.includes(status),
+            amount: parseAmount(cell(cells, 'amount')),
+            fee: parseAmount(cell(cells, 'fee')) || 0,
+            tax: taxColumns.reduce((sum, column) => sum + (parseAmount(cells[column]) || 0), 0),
+            netAmount: parseAmount(cell(cells, 'netAmount')),
+            transactionDate: parseReportDate(cell(cells, 'transactionDate')),
+            settledAt: parseReportDate(cell(cells, 'settledAt')),
+            utr: cell(cells, 'utr') || null
+        };
+    });
+}
+
+function rupees(paise) {
+    return typeof paise === 'number' ? (paise / 100).toFixed(2) : '';
+}
+
+/**
+ * The report as CSV, one line per entry with amounts in rupees.
+ */
+function reportToCsv(report) {
+    return toCsv([
+        EXPORT_COLUMNS.map(([, title]) => title),
+        ...report.entries.map(entry => EXPORT_COLUMNS.map(([key]) => (
+            ['reportedAmount', 'expectedAmount', 'fee', 'tax', 'netAmount'].includes(key) ? rupees(entry[key]) : entry[key]
+        )))
+    ]);
+}
+
+// --- SERVICE ---
+
+function createSettlementService(db, { orderRepository }) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS settlement_imports (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            filename    TEXT,
+            imported_at TEXT NOT NULL,
+            summary     TEXT NOT NULL,
+            report      TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS settlements (
+            row_key                 TEXT PRIMARY KEY,
+            import_id               INTEGER NOT NULL REFERENCES settlement_imports (id),
+            type                    TEXT NOT NULL,
+            merchant_transaction_id TEXT,
+            phonepe_transaction_id  TEXT,
+            order_id                TEXT,
+            amount                  INTEGER,
+            fee                     INTEGER NOT NULL,
+            tax                     INTEGER NOT NULL,
+            net_amount              INTEGER,
+            settled_at              TEXT,
+            utr                     TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_settlements_merchant_txn ON settlements (merchant_transaction_id);
+    `);
+
+    const statements = {
+        insertImport: db.prepare(`
+            INSERT INTO settlement_imports (filename, imported_at, summary, report)
+            VALUES (@filename, @importedAt, '{}', '{}')
+        `),
+        saveReport: db.prepare('UPDATE settlement_imports SET summary = ?, report = ? WHERE id = ?'),
+        insertSettlement: db.prepare(`
+            INSERT OR IGNORE INTO settlements (
+                row_key, import_id, type, merchant_transaction_id, phonepe_transaction_id, order_id,
+                amount, fee, tax, net_amount, settled_at, utr
+            ) VALUES (
+                @rowKey, @importId, @type, @merchantTransactionId, @phonepeTransactionId, @orderId,
+                @amount, @fee, @tax, @netAmount, @settledAt, @utr
+            )
+        `),
+        isSettled: db.prepare(`
+            SELECT 1 FROM settlements
+            WHERE type = 'PAYMENT' AND (merchant_transaction_id = @merchantTransactionId OR phonepe_transaction_id = @phonepeTransactionId)
+        `),
+        getImport: db.prepare('SELECT * FROM settlement_imports WHERE id = ?'),
+        listImports: db.prepare('SELECT id, filename, imported_at, summary FROM settlement_imports ORDER BY id DESC LIMIT ?')
+    };
+
+    // The order and attempt (or refund) a payment row belongs to
+    function findPayment(row) {
+        let order = row.merchantTransactionId && orderRepository.findByTransactionId(row.merchantTransactionId);
+        if (!order && row.phonepeTransactionId) order = orderRepository.findByPhonePeTransactionId(row.phonepeTransactionId);
+        if (!order) return null;
+
+        const attempt = getAttempts(order).find(a => a.merchantTransactionId === row.merchantTransactionId)
+            || getAttempts(order).find(a => row.phonepeTransactionId && a.phonepeTransactionId === row.phonepeTransactionId);
+        return attempt ? { order, attempt, expected: attempt.amount, paid: attempt.status === 'PAID' } : null;
+    }
+
+    function findRefund(row) {
+        const order = row.merchantTransactionId && orderRepository.findByRefundId(row.merchantTransactionId);
+        if (!order) return null;
+
+        const refund = order.refunds.find(r => r.merchantTransactionId === row.merchantTransactionId);
+        return { order, expected: refund.amount, paid: refund.status === 'COMPLETED' };
+    }
+
+    function classify(row, match) {
+        if (!match) return { issue: 'UNKNOWN_TRANSACTION', note: 'No order has this transaction.' };
+        if (row.success && !match.paid) {
+            return { issue: 'SETTLED_BUT_FAILED', note: `PhonePe reports ${row.status || 'settled'}, order is ${match.order.status}.` };
+        }
+        if (!row.success && match.paid) {
+            return { issue: 'REPORTED_FAILED', note: `PhonePe reports ${row.status}, order is ${match.order.status}.` };
+        }
+        if (row.success && row.amount !== match.expected) {
+            return { issue: 'AMOUNT_MISMATCH', note: `Reported ₹${rupees(row.amount)}, expected ₹${rupees(match.expected)}.` };
+        }
+        return { issue: 'MATCHED', note: '' };
+    }
+
+    // Default window: the IST days the report's transactions fall on
+    function reportWindow(rows, { from, to }) {
+        const dates = rows.map(row => row.transactionDate).filter(Boolean).sort();
+        const day = iso => new Date(new Date(iso).getTime() + 5.5 * 3600 * 1000).toISOString().slice(0, 10);
+
+        const start = from || (dates.length && day(dates[0]));
+        const end = to || (dates.length && day(dates[dates.length - 1]));
+        if (!start || !end) return null;
+
+        return {
+            from: new Date(`${start}T00:00:00.000+05:30`).toISOString(),
+            to: new Date(`${end}T23:59:59.999+05:30`).toISOString()
+        };
+    }
+
+    // Paid orders in the window with no settled payment in any import
+    function findUnsettled(window, matchedTransactions) {
+        const unsettled = [];
+        for (const order of orderRepository.list({ from: window.from, to: window.to })) {
+            if (!isPaid(order)) continue;
+
+            const attempt = getAttempts(order).find(a => a.status === 'PAID') || getAttempts(order).at(-1);
+            const key = { merchantTransactionId: attempt.merchantTransactionId, phonepeTransactionId: attempt.phonepeTransactionId || null };
+            if (matchedTransactions.has(attempt.merchantTransactionId) || statements.isSettled.get(key)) continue;
+
+            unsettled.push({
+                issue: 'PAID_NOT_SETTLED',
+                type: 'PAYMENT',
+                merchantTransactionId: attempt.merchantTransactionId,
+                phonepeTransactionId: attempt.phonepeTransactionId || null,
+                orderId: order.orderID,
+                orderStatus: order.status,
+                reportedAmount: null,
+                expectedAmount: attempt.amount,
+                fee: null,
+                tax: null,
+                netAmount: null,
+                settledAt: null,
+                utr: null,
+                note: 'Paid, but in no settlement report yet.'
+            });
+        }
+        return unsettled;
+    }
+
+    /**
+     * Imports one report: stores its settled rows and returns the
+     * reconciliation report ({ id, summary, entries }). `from` / `to` are
+     * YYYY-MM-DD (IST) and bound the PAID_NOT_SETTLED check.
+     * Throws SettlementReportError for unreadable files.
+     */
+    const importReport = db.transaction(({ csv, filename = null, from, to }) => {
+        const rows = readSettlementRows(csv);
+        const importedAt = new Date().toISOString();
+        const { lastInsertRowid: importId } = statements.insertImport.run({ filename, importedAt });
+
+        const entries = [];
+        const matchedTransactions = new Set();
+        let stored = 0;
+
+        for (const row of rows) {
+            const match = row.type === 'REFUND' ? findRefund(row) : findPayment(row);
+            const { issue, note } = classify(row, match);
+
+            if (match && row.type === 'PAYMENT' && row.success) matchedTransactions.add(match.attempt.merchantTransactionId);
+
+            if (row.success) {
+                const { changes } = statements.insertSettlement.run({
+                    rowKey: `${row.type}:${row.merchantTransactionId || ''}:${row.phonepeTransactionId || ''}`,
+                    importId,
+                    type: row.type,
+                    merchantTransactionId: row.merchantTransactionId,
+                    phonepeTransactionId: row.phonepeTransactionId,
+                    orderId: match?.order.orderID || null,
+                    amount: row.amount,
+                    fee: row.fee,
+                    tax: row.tax,
+                    netAmount: row.netAmount,
+                    settledAt: row.settledAt,
+                    utr: row.utr
+                });
+                stored += changes;
+            }
+
+            entries.push({
+                issue,
+                type: row.type,
+                line: row.line,
+                merchantTransactionId: row.merchantTransactionId,
+                phonepeTransactionId: row.phonepeTransactionId,
+                orderId: match?.order.orderID || null,
+                orderStatus: match?.order.status || null,
+                reportedAmount: row.amount,
+                expectedAmount: match ? match.expected : null,
+                fee: row.fee,
+                tax: row.tax,
+                netAmount: row.netAmount,
+                settledAt: row.settledAt,
+                utr: row.utr,
+                note
+            });
+        }
+
+        const window = reportWindow(rows, { from, to });
+        if (window) entries.push(...findUnsettled(window, matchedTransactions));
+
+        const settledRows = rows.filter(row => row.success);
+        const sum = (list, field) => list.reduce((total, row) => total + (row[field] || 0), 0);
+        const summary = {
+            rows: rows.length,
+            stored,
+            duplicates: settledRows.length - stored,
+            window,
+            issues: Object.fromEntries(ISSUES.map(issue => [issue, entries.filter(entry => entry.issue === issue).length])),
+            totals: {
+                payments: sum(settledRows.filter(row => row.type === 'PAYMENT'), 'amount'),
+                refunds: sum(settledRows.filter(row => row.type === 'REFUND'), 'amount'),
+                fees: sum(settledRows, 'fee'),
+                tax: sum(settledRows, 'tax'),
+                netAmount: sum(settledRows, 'netAmount')
+            }
+        };
+
+        const report = { id: Number(importId), filename, importedAt, summary, entries };
+        statements.saveReport.run(JSON.stringify(summary), JSON.stringify(report), importId);
+
+        log.info('Settlement report imported', { importId: report.id, filename, rows: rows.length, issues: summary.issues });
+        return report;
+    });
+
+    function getImport(importId) {
+        const row = statements.getImport.get(importId);
+        return row ? JSON.parse(row.report) : null;
+    }
+
+    function listImports(limit = 50) {
+        return statements.listImports.all(limit).map(row => ({
+            id: row.id,
+            filename: row.filename,
+            importedAt: row.imported_at,
+            summary: JSON.parse(row.summary)
+        }));
+    }
+
+    return { importReport, getImport, listImports };
+}
+
+module.exports = {
+    createSettlementService,
+    readSettlementRows,
+    reportToCsv,
+    parseCsv,
+    toCsv,
+    SettlementReportError
+};
+
+if (require.main === module) {
+    require('dotenv').config();
+    const path = require('path');
+    const { openDatabase } = require('./database');
+    const { createOrderRepository } = require('./orderRepository');
+
+    const [command, file, ...flags] = process.argv.slice(2);
+    const option = name => {
+        const index = flags.indexOf(`--${name}`);
+        return index === -1 ? undefined : flags[index + 1];
+    };
+
+    if (command !== 'import' || !file) {
+        console.error('Usage: node settlements.js import <report.csv> [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--out reconciliation.csv]');
+        process.exit(1);
+    }
+
+    try {
+        const db = openDatabase(process.env.DATABASE_PATH || 'orders.db');
+        const settlements = createSettlementService(db, { orderRepository: createOrderRepository(db) });
+        const report = settlements.importReport({
+            csv: fs.readFileSync(file, 'utf8'),
+            filename: path.basename(file),
+            from: option('from'),
+            to: option('to')
+        });
+
+        // Written to a file: the logger shares stdout
+        const out = option('out') || `reconciliation-${report.id}.csv`;
+        fs.writeFileSync(out, reportToCsv(report));
+        console.log(JSON.stringify({ importId: report.id, ...report.summary, csv: out }, null, 2));
+    } catch (error) {
+        console.error(error instanceof SettlementReportError ? error.message : error);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+/**
+ * Outgoing SMS, used for customer login codes.
+ *
+ * A provider is { name, send({ phone, message }) } where send() resolves once
+ * the message is accepted and throws otherwise. Choose one with SMS_PROVIDER:
+ *
+ *   console  logs that a message was not sent, never its text (development;
+ *            the default outside production, where SMS_PROVIDER is required)
+ *   file     appends { at, phone, message } JSON lines to SMS_FILE_PATH (development and tests)
+ *   webhook  POSTs { phone, message } as JSON to SMS_WEBHOOK_URL, with
+ *            SMS_WEBHOOK_TOKEN as a Bearer token; put a small adapter for
+ *            your SMS gateway behind it
+ *
+ * Other gateways plug in by passing their own provider to createCustomerAuth.
+ */
+
+const log = logger.child({ component: 'sms' });
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function createConsoleProvider() {
+    return {
+        name: 'console',
+        async send({ phone }) {
+            // The text holds a login code, so only the (masked) phone is logged; use the file provider to read codes
+            log.warn('SMS not sent (console provider)', { phone });
+        }
+    };
+}
+
+function createFileProvider(filePath) {
+    return {
+        name: 'file',
+        async send({ phone, message }) {
+            await fs.promises.appendFile(filePath, JSON.stringify({ at: new Date().toISOString(), phone, message }) + '\n');
+        }
+    };
+}
+
+function createWebhookProvider({ url, token }) {
+    return {
+        name: 'webhook',
+        async send({ phone, message }) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token && { Authorization: `Bearer ${token}` })
+                },
+                body: JSON.stringify({ phone, message }),
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            if (!response.ok) {
+                throw new Error(`SMS webhook answered ${response.status}`);
+            }
+        }
+    };
+}
+
+/**
+ * The provider configured by SMS_PROVIDER and its settings. Production must
+ * choose one, so customers are never left waiting for a code nobody sends.
+ */
+function loadSmsProvider(env) {
+    if (!env.SMS_PROVIDER && env.NODE_ENV === 'production') {
+        throw new Error('SMS_PROVIDER must be set in production');
+    }
+    const type = env.SMS_PROVIDER || 'console';
+
+    switch (type) {
+        case 'console':
+            return createConsoleProvider();
+        case 'file':
+            if (!env.SMS_FILE_PATH) throw new Error('SMS_PROVIDER=file needs SMS_FILE_PATH');
+            return createFileProvider(env.SMS_FILE_PATH);
+        case 'webhook':
+            if (!env.SMS_WEBHOOK_URL) throw new Error('SMS_PROVIDER=webhook needs SMS_WEBHOOK_URL');
+            return createWebhookProvider({ url: env.SMS_WEBHOOK_URL, token: env.SMS_WEBHOOK_TOKEN });
+        default:
+            throw new Error(`Unknown SMS_PROVIDER: ${type}`);
+    }
+}
+
+module.exports = { loadSmsProvider, createConsoleProvider, createFileProvider, createWebhookProvider };
@@ -0,0 +1,53 @@
+/**
+ * HTML templating with auto-escaping.
+ *
+ *   html`<p>${name}</p>`      escapes `name`
+ *   html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`
+ *   json(value)               safe inside <script>
+ *
+ * Every interpolated value is escaped unless it is itself the result of
+ * html`` or json(), so markup has to be built from templates to get
+ * through unescaped. null, undefined and false render as nothing.
+ */
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function render(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(render).join('');
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, string, i) => out + render(values[i - 1]) + string));
+}
+
+// JSON for an inline <script>; "<", ">" and "&" are escaped so the data cannot close the tag
+function json(value) {
+    return new SafeHtml(JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029'));
+}
+
+module.exports = { html, json, escapeHtml };
@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment, ADMIN_USERNAME, ADMIN_PASSWORD, ADMIN_API_TOKEN } = require('./helpers');
+
+let env;
+const bearer = { Authorization: `Bearer ${ADMIN_API_TOKEN}`, Accept: 'application/json' };
+
+async function login(password = ADMIN_PASSWORD) {
+    const response = await fetch(`${env.serverUrl}/admin/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ username: ADMIN_USERNAME, password, next: '/admin/orders' }),
+        redirect: 'manual'
+    });
+    return { response, cookie: response.headers.get('set-cookie')?.split(';')[0] };
+}
+
+before(async () => {
+    env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+test('admin pages, refunds and reconciliation require authentication', async () => {
+    const page = await fetch(`${env.serverUrl}/admin/orders`, { headers: { Accept: 'text/html' }, redirect: 'manual' });
+    assert.equal(page.status, 302);
+    assert.match(page.headers.get('location'), /^\/admin\/login/);
+
+    const api = await fetch(`${env.serverUrl}/admin/orders`, { headers: { Accept: 'application/json' } });
+    assert.equal(api.status, 401);
+
+    const refund = await fetch(`${env.serverUrl}/orders/ANY/refund`, { method: 'POST' });
+    assert.equal(refund.status, 401);
+
+    const reconciliation = await fetch(`${env.serverUrl}/admin/reconciliation`, { headers: { Accept: 'application/json' } });
+    assert.equal(reconciliation.status, 401);
+
+    const legacy = await fetch(`${env.serverUrl}/orders`, { redirect: 'manual' });
+    assert.equal(legacy.headers.get('location'), '/admin/orders');
+});
+
+test('login rejects a wrong password and issues a session for the right one', async () => {
+    const wrong = await login('nope');
+    assert.equal(wrong.response.status, 401);
+    assert.equal(wrong.cookie, undefined);
+
+    const { response, cookie } = await login();
+    assert.equal(response.status, 302);
+    assert.match(cookie, /^admin_session=/);
+
+    const page = await fetch(`${env.serverUrl}/admin/orders`, { headers: { Cookie: cookie } });
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /Orders Dashboard/);
+});
+
+test('order values are escaped in the list and detail pages', async () => {
+    const { orderData } = await env.createPaidOrder({ name: '<script>alert(1)</script>' });
+    const { cookie } = await login();
+
+    const list = await (await fetch(`${env.serverUrl}/admin/orders`, { headers: { Cookie: cookie } })).text();
+    assert.doesNotMatch(list, /<script>alert/);
+    assert.match(list, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+
+    const detail = await (await fetch(`${env.serverUrl}/admin/orders/${orderData.orderID}`, { headers: { Cookie: cookie } })).text();
+    assert.doesNotMatch(detail, /<script>alert/);
+    assert.match(detail, /PAYMENT_INITIATED/);
+    assert.match(detail, /Status History/);
+});
+
+test('orders can be filtered by status, phone and date', async () => {
+    const phone = '9123456780';
+    for (let i = 0; i < 3; i++) {
+        await env.createPaidOrder({ phone });
+    }
+
+    const query = new URLSearchParams({ phone, status: 'PAID' });
+    const result = await (await fetch(`${env.serverUrl}/admin/orders?${query}`, { headers: bearer })).json();
+    assert.equal(result.total, 3);
+    assert.ok(result.orders.every(o => o.phone === phone && o.status === 'PAID'));
+
+    const none = await (await fetch(`${env.serverUrl}/admin/orders?phone=${phone}&status=FAILED`, { headers: bearer })).json();
+    assert.equal(none.total, 0);
+
+    const future = await (await fetch(`${env.serverUrl}/admin/orders?phone=${phone}&from=2999-01-01`, { headers: bearer })).json();
+    assert.equal(future.total, 0);
+});
+
+test('mark shipped needs a CSRF token with a session cookie', async () => {
+    const { orderData } = await env.createPaidOrder();
+    const { cookie } = await login();
+    const shipUrl = `${env.serverUrl}/admin/orders/${orderData.orderID}/ship`;
+
+    const forged = await fetch(shipUrl, {
+        method: 'POST',
+        headers: { Cookie: cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ carrier: 'BlueDart' })
+    });
+    assert.equal(forged.status, 403);
+
+    const detail = await (await fetch(`${env.serverUrl}/admin/orders/${orderData.orderID}`, { headers: { Cookie: cookie } })).text();
+    const csrf = detail.match(/name="_csrf" value="([^"]+)"/)[1];
+
+    const shipped = await fetch(shipUrl, {
+        method: 'POST',
+        headers: { Cookie: cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ _csrf: csrf, carrier: 'BlueDart', trackingNumber: 'BD123' }),
+        redirect: 'manual'
+    });
+    assert.equal(shipped.status, 302);
+
+    const { order } = await (await fetch(`${env.serverUrl}/admin/orders/${orderData.orderID}`, { headers: bearer })).json();
+    assert.equal(order.shipment.trackingNumber, 'BD123');
+    assert.equal(order.shipment.shippedBy, ADMIN_USERNAME);
+});
+
+test('re-verify with PhonePe settles a pending order', async () => {
+    const orderData = env.newOrder();
+    env.simulator.setNextOutcome('PENDING');
+    const { merchantTransactionId } = await env.createPayment(orderData);
+    env.simulator.setOutcome(merchantTransactionId, 'SUCCESS');
+
+    const result = await (await fetch(`${env.serverUrl}/admin/orders/${orderData.orderID}/reverify`, {
+        method: 'POST',
+        headers: bearer
+    })).json();
+
+    assert.equal(result.status, 'PAID');
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCatalog, CartValidationError } = require('../catalog');
+
+function catalogFrom(data) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-')), 'catalog.json');
+    fs.writeFileSync(file, JSON.stringify(data));
+    return createCatalog(file);
+}
+
+const products = [
+    { sku: 'A', name: 'Oil', price: 118, taxRate: 18, hsn: '3301' },
+    { sku: 'B', name: 'Diffuser', price: 100, taxRate: 12, hsn: '6913' }
+];
+
+test('tax is backed out of tax-inclusive prices', () => {
+    const catalog = catalogFrom({ pricesIncludeTax: true, products });
+    const pricing = catalog.priceCart([{ sku: 'A', quantity: 2 }]);
+
+    assert.equal(pricing.items[0].taxableAmount, 20000);
+    assert.equal(pricing.items[0].taxAmount, 3600);
+    assert.equal(pricing.total, 23600);
+});
+
+test('tax is added on top of tax-exclusive prices and shipping applies below the threshold', () => {
+    const catalog = catalogFrom({ pricesIncludeTax: false, shipping: { flatFee: 40, freeAbove: 500 }, products });
+    const pricing = catalog.priceCart([{ sku: 'B', quantity: 1 }, { sku: 'B', quantity: 1 }]);
+
+    assert.equal(pricing.items.length, 1);
+    assert.equal(pricing.items[0].quantity, 2);
+    assert.equal(pricing.subtotal, 20000);
+    assert.equal(pricing.taxTotal, 2400);
+    assert.equal(pricing.shipping, 4000);
+    assert.equal(pricing.total, 26400);
+});
+
+test('a discount on tax-exclusive prices reports the tax saved as well', () => {
+    const catalog = catalogFrom({ pricesIncludeTax: false, shipping: { flatFee: 40, freeAbove: 500 }, products });
+    const pricing = catalog.applyDiscount(catalog.priceCart([{ sku: 'B', quantity: 2 }]), 1000);
+
+    assert.equal(pricing.items[0].discount, 1000);
+    assert.equal(pricing.subtotal, 19000);
+    assert.equal(pricing.taxTotal, 2280);
+    assert.equal(pricing.discount, 1120);
+    assert.equal(pricing.total, 25280);
+});
+
+test('free shipping is decided on the discounted items', () => {
+    const catalog = catalogFrom({ pricesIncludeTax: false, shipping: { flatFee: 40, freeAbove: 200 }, products });
+    const undiscounted = catalog.priceCart([{ sku: 'B', quantity: 2 }]);
+    assert.equal(undiscounted.shipping, 0);
+
+    const pricing = catalog.applyDiscount(undiscounted, 3000);
+    assert.equal(pricing.subtotal + pricing.taxTotal, 19040);
+    assert.equal(pricing.shipping, 4000);
+    assert.equal(pricing.total, 23040);
+});
+
+test('malformed carts are rejected', () => {
+    const catalog = catalogFrom({ products });
+
+    assert.throws(() => catalog.priceCart([]), CartValidationError);
+    assert.throws(() => catalog.priceCart([{ sku: 'A', quantity: 0 }]), CartValidationError);
+    assert.throws(() => catalog.priceCart([{ sku: 'A', quantity: 1.5 }]), CartValidationError);
+    assert.throws(() => catalog.priceCart([{ sku: 'A', quantity: 101 }]), CartValidationError);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startTestEnvironment } = require('./helpers');
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment({ COUPONS_PATH: path.join(__dirname, 'fixtures', 'coupons.json') });
+});
+
+after(() => env.stop());
+
+async function preview(couponCode, { items = [{ sku: 'TEST-OIL', quantity: 1 }], phone } = {}) {
+    const response = await fetch(`${env.serverUrl}/coupons/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ couponCode, items, phone })
+    });
+    return { httpStatus: response.status, ...(await response.json()) };
+}
+
+test('the preview shows the discount, and explains why a coupon does not apply', async () => {
+    const valid = await preview('tenoff');
+    assert.equal(valid.success, true);
+    assert.equal(valid.couponCode, 'TENOFF');
+    assert.equal(valid.discount, '30.00');
+    assert.equal(valid.amount, '469.00');
+    assert.equal(valid.pricing.items[0].discount, 3000);
+    assert.equal(valid.pricing.subtotal + valid.pricing.taxTotal, 46900);
+
+    const rejections = {
+        NOPE: 'COUPON_NOT_FOUND',
+        RETIRED: 'COUPON_NOT_FOUND',
+        EXPIRED: 'COUPON_EXPIRED',
+        FUTURE: 'COUPON_NOT_STARTED',
+        BIGCART: 'MIN_CART_VALUE'
+    };
+    for (const [code, reason] of Object.entries(rejections)) {
+        const rejected = await preview(code);
+        assert.equal(rejected.httpStatus, 400, code);
+        assert.equal(rejected.reason, reason, code);
+    }
+
+    assert.equal((await preview('TENOFF', { items: [{ sku: 'NOPE', quantity: 1 }] })).httpStatus, 400);
+});
+
+test('the coupon is applied to the amount charged and split across the lines', async () => {
+    const orderData = env.newOrder({
+        items: [{ sku: 'TEST-OIL', quantity: 1 }, { sku: 'TEST-MINI', quantity: 3 }],
+        couponCode: 'TENOFF'
+    });
+    const created = await env.createPayment(orderData);
+
+    assert.equal(created.success, true);
+    assert.equal(created.amount, '619.00');
+    assert.equal(env.simulator.getTransaction(created.merchantTransactionId).payload.amount, 61900);
+
+    const { pricing } = (await env.checkPayment(orderData.orderID)).order;
+    assert.deepEqual(pricing.coupon, { code: 'TENOFF', type: 'percentage', discount: 3000 });
+    assert.deepEqual(pricing.items.map(line => line.discount), [2307, 693]);
+    assert.equal(pricing.items.reduce((sum, line) => sum + line.lineTotal, 0), 61900);
+});
+
+test('usage limits count paid orders only, globally and per phone', async () => {
+    // An unpaid attempt does not use up the coupon
+    env.simulator.setNextOutcome('FAILED');
+    const failed = await env.createPayment(env.newOrder({ phone: '9000000001', couponCode: 'FLAT50' }));
+    await env.simulator.sendCallback(failed.merchantTransactionId);
+
+    await env.createPaidOrder({ phone: '9000000001', couponCode: 'FLAT50' });
+
+    const again = await env.createPayment(env.newOrder({ phone: '9000000001', couponCode: 'FLAT50' }));
+    assert.equal(again.httpStatus, 400);
+    assert.equal(again.reason, 'PHONE_LIMIT_REACHED');
+
+    await env.createPaidOrder({ phone: '9000000002', couponCode: 'FLAT50' });
+
+    const exhausted = await env.createPayment(env.newOrder({ phone: '9000000003', couponCode: 'FLAT50' }));
+    assert.equal(exhausted.httpStatus, 400);
+    assert.equal(exhausted.reason, 'USAGE_LIMIT_REACHED');
+});
+
+test('first-order coupons are refused once the phone has a paid order', async () => {
+    assert.equal((await preview('WELCOME', { phone: '9000000004' })).success, true);
+
+    await env.createPaidOrder({ phone: '9000000004' });
+
+    const rejected = await env.createPayment(env.newOrder({ phone: '9000000004', couponCode: 'WELCOME' }));
+    assert.equal(rejected.httpStatus, 400);
+    assert.equal(rejected.reason, 'FIRST_ORDER_ONLY');
+});
@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadSmsProvider } = require('../sms');
+const { startTestEnvironment } = require('./helpers');
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment({ OTP_MAX_ATTEMPTS: '3' });
+});
+
+after(() => env.stop());
+
+const post = (urlPath, body) => fetch(`${env.serverUrl}${urlPath}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+const get = (urlPath, token) => fetch(`${env.serverUrl}${urlPath}`, {
+    headers: { Accept: 'application/json', ...(token && { Authorization: `Bearer ${token}` }) }
+});
+
+// The file SMS provider's outbox: the latest code texted to a phone
+function lastCode(phone) {
+    const messages = fs.readFileSync(path.join(env.workDir, 'sms.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    return messages.filter(message => message.phone === phone).at(-1).message.match(/^(\d{6}) /)[1];
+}
+
+async function login(phone) {
+    assert.equal((await post('/auth/otp', { phone })).status, 200);
+    const verified = await (await post('/auth/otp/verify', { phone, otp: lastCode(phone.slice(-10)) })).json();
+    assert.equal(verified.success, true);
+    return verified.token;
+}
+
+test('a texted code logs the customer in, once', async () => {
+    const sent = await (await post('/auth/otp', { phone: '+91 91111 11111' })).json();
+    assert.equal(sent.success, true);
+    assert.equal(sent.expiresIn, 300);
+
+    const resend = await post('/auth/otp', { phone: '9111111111' });
+    assert.equal(resend.status, 429);
+    assert.equal((await resend.json()).code, 'OTP_COOLDOWN');
+
+    const code = lastCode('9111111111');
+    const wrong = await (await post('/auth/otp/verify', { phone: '9111111111', otp: code === '000000' ? '111111' : '000000' })).json();
+    assert.deepEqual([wrong.code, wrong.attemptsLeft], ['OTP_INVALID', 2]);
+
+    const verified = await (await post('/auth/otp/verify', { phone: '9111111111', otp: code })).json();
+    assert.equal(verified.success, true);
+    assert.ok(Date.parse(verified.expiresAt) > Date.now());
+
+    const reused = await post('/auth/otp/verify', { phone: '9111111111', otp: code });
+    assert.equal(reused.status, 401);
+    assert.equal((await reused.json()).code, 'OTP_EXPIRED');
+});
+
+test('too many wrong codes void the challenge', async () => {
+    await post('/auth/otp', { phone: '9222222222' });
+    const code = lastCode('9222222222');
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    await post('/auth/otp/verify', { phone: '9222222222', otp: wrongCode });
+    await post('/auth/otp/verify', { phone: '9222222222', otp: wrongCode });
+    const locked = await (await post('/auth/otp/verify', { phone: '9222222222', otp: wrongCode })).json();
+    assert.equal(locked.code, 'OTP_LOCKED');
+
+    const afterLock = await (await post('/auth/otp/verify', { phone: '9222222222', otp: code })).json();
+    assert.equal(afterLock.code, 'OTP_EXPIRED');
+});
+
+test('customers list their own orders with status timelines and receipts', async () => {
+    const { orderData: paid } = await env.createPaidOrder({ phone: '9333333333' });
+    const pending = env.newOrder({ phone: '9333333333' });
+    env.simulator.setNextOutcome('PENDING');
+    await env.createPayment(pending);
+    const { orderData: someoneElses } = await env.createPaidOrder({ phone: '9444444444' });
+
+    assert.equal((await get('/me/orders')).status, 401);
+    assert.equal((await get('/me/orders', 'not.a-token')).status, 401);
+
+    const token = await login('9333333333');
+    const list = await (await get('/me/orders', token)).json();
+    assert.equal(list.total, 2);
+    assert.deepEqual(list.orders.map(order => order.orderId), [pending.orderID, paid.orderID]);
+    assert.equal(list.orders[0].phone, undefined);
+
+    const detail = (await (await get(`/me/orders/${paid.orderID}`, token)).json()).order;
+    assert.equal(detail.status, 'PAID');
+    assert.deepEqual(detail.timeline.map(entry => entry.status), ['CREATED', 'PAYMENT_PENDING', 'PAID']);
+    assert.ok(detail.timeline.every(entry => entry.at && !entry.source));
+
+    const receipt = await get(`/orders/${paid.orderID}/invoice`, token);
+    assert.equal(receipt.headers.get('content-type'), 'application/pdf');
+    assert.match(detail.invoice.url, new RegExp(`/orders/${paid.orderID}/invoice\\?token=`));
+
+    assert.equal((await get(`/me/orders/${someoneElses.orderID}`, token)).status, 404);
+    assert.equal((await get(`/orders/${someoneElses.orderID}/invoice`, token)).status, 401);
+});
+
+test('/check-payment only shows the whole order to its customer', async () => {
+    const { orderData } = await env.createPaidOrder({ phone: '9555555555', name: 'Private Person' });
+    const url = `/check-payment/${orderData.orderID}`;
+
+    const anonymous = await (await get(url)).json();
+    assert.deepEqual(anonymous, { success: true, status: 'PAID', orderId: orderData.orderID });
+
+    const stranger = await (await get(url, await login('9666666666'))).json();
+    assert.equal(stranger.order, undefined);
+
+    const owner = await (await get(url, await login('9555555555'))).json();
+    assert.equal(owner.order.name, 'Private Person');
+
+    const forged = await (await get(`${url}?token=forged`)).json();
+    assert.equal(forged.order, undefined);
+});
+
+test('production needs an SMS provider; the console one never prints the code', async () => {
+    assert.throws(() => loadSmsProvider({ NODE_ENV: 'production' }), /SMS_PROVIDER must be set/);
+    assert.equal(loadSmsProvider({}).name, 'console');
+
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = chunk => lines.push(String(chunk));
+    try {
+        await loadSmsProvider({}).send({ phone: '9777777777', message: '123456 is your login code' });
+    } finally {
+        process.stdout.write = write;
+    }
+    assert.equal(lines.length, 1);
+    assert.doesNotMatch(lines[0], /123456|9777777777/);
+});
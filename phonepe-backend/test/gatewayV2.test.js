@@ -0,0 +1,133 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment, ADMIN_API_TOKEN, V2_ENV } = require('./helpers');
+
+// Short-lived tokens so the refresh-before-expiry path runs within the test
+const TOKEN_TTL_SECONDS = 4;
+
+let env;
+let simulator;
+let serverUrl;
+
+before(async () => {
+    env = await startTestEnvironment(V2_ENV, { tokenTtlSeconds: TOKEN_TTL_SECONDS });
+    ({ simulator, serverUrl } = env);
+});
+
+after(() => env.stop());
+
+test('v2: payment is created with an OAuth token and the webhook marks it PAID', async () => {
+    const orderData = env.newOrder();
+    simulator.setNextOutcome('SUCCESS');
+
+    const created = await env.createPayment(orderData);
+    assert.equal(created.success, true);
+    assert.match(created.paymentUrl, /\/pay-page\//);
+
+    const payload = simulator.getTransaction(created.merchantTransactionId).payload;
+    assert.equal(payload.merchantOrderId, created.merchantTransactionId);
+    assert.equal(payload.amount, 49900);
+    assert.equal(payload.paymentFlow.type, 'PG_CHECKOUT');
+
+    const callback = await simulator.sendCallback(created.merchantTransactionId);
+    assert.equal(callback.status, 200);
+    assert.match(await callback.text(), /Payment Successful/);
+
+    const paid = await env.checkPayment(orderData.orderID);
+    assert.equal(paid.status, 'PAID');
+    assert.equal(paid.order.phonepeTransactionId, simulator.getTransaction(created.merchantTransactionId).transactionId);
+});
+
+test('v2: UPI modes use the custom checkout API', async () => {
+    const qrOrder = env.newOrder({ paymentMode: 'UPI_QR' });
+    simulator.setNextOutcome('SUCCESS');
+    const qr = await env.createPayment(qrOrder);
+    assert.equal(qr.success, true);
+    assert.match(qr.qrData, /^upi:\/\/pay\?/);
+    assert.match(qr.qrImage, /^data:image\/png;base64,/);
+    assert.deepEqual(simulator.getTransaction(qr.merchantTransactionId).payload.paymentFlow, { type: 'PG', paymentMode: { type: 'UPI_QR' } });
+
+    await simulator.sendCallback(qr.merchantTransactionId);
+    assert.equal((await env.checkPayment(qrOrder.orderID)).status, 'PAID');
+
+    const unknown = await env.createPayment(env.newOrder({ paymentMode: 'UPI_COLLECT', vpa: 'unknown@ybl' }));
+    assert.equal(unknown.httpStatus, 400);
+
+    const collect = await env.createPayment(env.newOrder({ paymentMode: 'UPI_COLLECT', vpa: 'asha@ybl' }));
+    assert.equal(collect.vpa, 'asha@ybl');
+    assert.deepEqual(simulator.getTransaction(collect.merchantTransactionId).payload.paymentFlow.paymentMode, { type: 'UPI_COLLECT', details: { type: 'VPA', vpa: 'asha@ybl' } });
+});
+
+test('v2: webhooks with wrong or missing credentials are rejected', async () => {
+    const orderData = env.newOrder();
+    simulator.setNextOutcome('FAILED');
+    const { merchantTransactionId } = await env.createPayment(orderData);
+
+    const forged = await simulator.sendCallback(merchantTransactionId, { tamper: true });
+    assert.equal(forged.status, 400);
+
+    const unsigned = await simulator.sendCallback(merchantTransactionId, { tamper: 'unsigned' });
+    assert.equal(unsigned.status, 400);
+
+    assert.notEqual((await env.checkPayment(orderData.orderID)).order.status, 'PAID');
+});
+
+test('v2: browser redirect and /check-payment use the order status API', async () => {
+    const failedOrder = env.newOrder();
+    simulator.setNextOutcome('FAILED');
+    const failed = await env.createPayment(failedOrder);
+
+    const response = await fetch(`${serverUrl}/payment-callback?merchantTransactionId=${failed.merchantTransactionId}`);
+    assert.match(await response.text(), /Payment Failed/);
+
+    const pendingOrder = env.newOrder();
+    simulator.setNextOutcome('PENDING');
+    const pending = await env.createPayment(pendingOrder);
+    assert.equal((await env.checkPayment(pendingOrder.orderID)).status, 'PAYMENT_PENDING');
+
+    simulator.setOutcome(pending.merchantTransactionId, 'SUCCESS');
+    assert.equal((await env.checkPayment(pendingOrder.orderID)).status, 'PAID');
+});
+
+test('v2: access token is cached, refreshed before expiry and replaced when revoked', async () => {
+    simulator.setNextOutcome('PENDING');
+    await env.createPayment(env.newOrder());
+    const issued = simulator.getTokensIssued();
+
+    await env.createPayment(env.newOrder());
+    assert.equal(simulator.getTokensIssued(), issued);
+
+    // Past the refresh point but before the token itself expires
+    await new Promise(resolve => setTimeout(resolve, (TOKEN_TTL_SECONDS / 2) * 1000 + 500));
+    assert.equal((await env.createPayment(env.newOrder())).success, true);
+    assert.equal(simulator.getTokensIssued(), issued + 1);
+
+    simulator.revokeTokens();
+    assert.equal((await env.createPayment(env.newOrder())).success, true);
+    assert.equal(simulator.getTokensIssued(), issued + 2);
+});
+
+test('v2: refunds go through the v2 refund API and its webhook', async () => {
+    const orderData = env.newOrder({ items: [{ sku: 'TEST-SAMPLE', quantity: 1 }] });
+    simulator.setNextOutcome('SUCCESS');
+    const { merchantTransactionId } = await env.createPayment(orderData);
+    await simulator.sendCallback(merchantTransactionId);
+
+    simulator.setNextOutcome('PENDING');
+    const response = await fetch(`${serverUrl}/orders/${orderData.orderID}/refund`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_API_TOKEN}` },
+        body: JSON.stringify({ amount: 40 })
+    });
+    const refund = (await response.json()).refund;
+    assert.equal(refund.status, 'PENDING');
+    assert.equal(simulator.getTransaction(refund.merchantTransactionId).payload.originalMerchantOrderId, merchantTransactionId);
+
+    simulator.setOutcome(refund.merchantTransactionId, 'SUCCESS');
+    const callback = await simulator.sendCallback(refund.merchantTransactionId);
+    assert.equal(callback.status, 200);
+
+    const order = (await env.checkPayment(orderData.orderID)).order;
+    assert.equal(order.status, 'PARTIALLY_REFUNDED');
+    assert.equal(order.refunds[0].status, 'COMPLETED');
+});
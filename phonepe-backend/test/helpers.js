@@ -0,0 +1,176 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createPhonePeSimulator } = require('../phonepeSimulator');
+const { hashPassword } = require('../adminAuth');
+
+const MERCHANT_ID = 'SIMMERCHANT';
+const SALT_KEY = 'sim-salt-key';
+const SALT_INDEX = '1';
+const ADMIN_USERNAME = 'admin';
+const ADMIN_PASSWORD = 'correct horse battery staple';
+const ADMIN_API_TOKEN = 'test-admin-token';
+
+// Server config for Standard Checkout v2 against the simulator
+const V2_ENV = {
+    PHONEPE_API_VERSION: 'v2',
+    PHONEPE_CLIENT_ID: 'SIMCLIENT',
+    PHONEPE_CLIENT_SECRET: 'sim-client-secret',
+    PHONEPE_CLIENT_VERSION: '1',
+    PHONEPE_CALLBACK_USERNAME: 'sim-webhook-user',
+    PHONEPE_CALLBACK_PASSWORD: 'sim-webhook-password'
+};
+
+function getFreePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Starts the PhonePe simulator and server.js as a child process wired to it,
+ * in a scratch directory with its own database. `env` overrides server config
+ * (or is a function of { phonepeBaseUrl, port } returning the overrides),
+ * `simulatorOptions` the simulator's.
+ */
+async function startTestEnvironment(env = {}, simulatorOptions = {}) {
+    const port = await getFreePort();
+    const simulator = createPhonePeSimulator({
+        merchantId: MERCHANT_ID,
+        saltKey: SALT_KEY,
+        saltIndex: SALT_INDEX,
+        clientId: V2_ENV.PHONEPE_CLIENT_ID,
+        clientSecret: V2_ENV.PHONEPE_CLIENT_SECRET,
+        clientVersion: V2_ENV.PHONEPE_CLIENT_VERSION,
+        webhookUrl: `http://127.0.0.1:${port}/payment-callback`,
+        webhookUsername: V2_ENV.PHONEPE_CALLBACK_USERNAME,
+        webhookPassword: V2_ENV.PHONEPE_CALLBACK_PASSWORD,
+        ...simulatorOptions
+    });
+    const phonepeBaseUrl = await simulator.listen();
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phonepe-e2e-'));
+
+    const serverProcess = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        cwd: workDir,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            PHONEPE_MERCHANT_ID: MERCHANT_ID,
+            PHONEPE_SALT_KEY: SALT_KEY,
+            PHONEPE_SALT_INDEX: SALT_INDEX,
+            PHONEPE_BASE_URL: phonepeBaseUrl,
+            REDIRECT_URL: `http://127.0.0.1:${port}/payment-callback`,
+            DATABASE_PATH: path.join(workDir, 'orders.db'),
+            CATALOG_PATH: path.join(__dirname, 'fixtures', 'catalog.json'),
+            RECONCILIATION_ENABLED: 'false',
+            GOOGLE_SHEETS_URL: '',
+            ADMIN_USERNAME,
+            ADMIN_PASSWORD_HASH: hashPassword(ADMIN_PASSWORD),
+            ADMIN_API_TOKEN,
+            ADMIN_SESSION_SECRET: 'test-session-secret',
+            // Every test shares one IP and phone; rateLimits.test.js sets its own limits
+            RATE_LIMIT_PAYMENT_PER_IP: '1000',
+            RATE_LIMIT_PAYMENT_PER_PHONE: '1000',
+            RATE_LIMIT_STATUS_PER_IP: '1000',
+            RATE_LIMIT_STATUS_PER_PHONE: '1000',
+            RATE_LIMIT_OTP_PER_IP: '1000',
+            RATE_LIMIT_OTP_PER_PHONE: '1000',
+            SMS_PROVIDER: 'file',
+            SMS_FILE_PATH: path.join(workDir, 'sms.log'),
+            ...(typeof env === 'function' ? env({ phonepeBaseUrl, port }) : env)
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        serverProcess.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('RUNNING')) resolve();
+        });
+        serverProcess.stderr.on('data', chunk => (output += chunk));
+        serverProcess.on('exit', code => reject(new Error(`server exited with ${code}:\n${output}`)));
+    }).catch(async error => {
+        await simulator.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+        throw error;
+    });
+
+    const serverUrl = `http://127.0.0.1:${port}`;
+    let orderCounter = 0;
+
+    return {
+        simulator,
+        serverUrl,
+        phonepeBaseUrl,
+        workDir,
+
+        newOrder(overrides = {}) {
+            orderCounter++;
+            return {
+                orderID: `E2E${Date.now()}${orderCounter}`,
+                items: [{ sku: 'TEST-OIL', quantity: 1 }],
+                phone: '9876543210',
+                name: 'Test Customer',
+                ...overrides
+            };
+        },
+
+        async createPayment(orderData, headers = {}) {
+            const response = await fetch(`${serverUrl}/create-payment`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify({ orderData })
+            });
+            return { httpStatus: response.status, ...(await response.json()) };
+        },
+
+        // Server log lines written so far, parsed from JSON
+        getLogs() {
+            return output.split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+        },
+
+        getRawLogs() {
+            return output;
+        },
+
+        // As an admin, so the whole order comes back
+        async checkPayment(orderId) {
+            const response = await fetch(`${serverUrl}/check-payment/${orderId}`, {
+                headers: { Authorization: `Bearer ${ADMIN_API_TOKEN}` }
+            });
+            return response.json();
+        },
+
+        // Creates an order and settles it through a genuine S2S callback
+        async createPaidOrder(overrides = {}) {
+            const orderData = this.newOrder(overrides);
+            simulator.setNextOutcome('SUCCESS');
+            const created = await this.createPayment(orderData);
+            await simulator.sendCallback(created.merchantTransactionId);
+            return { orderData, merchantTransactionId: created.merchantTransactionId };
+        },
+
+        async stop() {
+            serverProcess.kill();
+            await simulator.close();
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    startTestEnvironment,
+    MERCHANT_ID,
+    SALT_KEY,
+    SALT_INDEX,
+    ADMIN_USERNAME,
+    ADMIN_PASSWORD,
+    ADMIN_API_TOKEN,
+    V2_ENV
+};
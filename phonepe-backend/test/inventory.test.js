@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment, ADMIN_API_TOKEN } = require('./helpers');
+
+const adminHeaders = { Authorization: `Bearer ${ADMIN_API_TOKEN}`, 'Content-Type': 'application/json' };
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+const setStock = async (sku, body, environment = env) => {
+    const response = await fetch(`${environment.serverUrl}/admin/stock/${sku}`, { method: 'POST', headers: adminHeaders, body: JSON.stringify(body) });
+    return { httpStatus: response.status, ...(await response.json()) };
+};
+
+const getStock = async (sku, environment = env) => (await (await fetch(`${environment.serverUrl}/admin/stock/${sku}`, { headers: adminHeaders })).json()).stock;
+
+const payCalls = () => env.simulator.requests.filter(request => request.path === '/pg/v1/pay').length;
+
+test('a checkout holds stock, a sold-out cart is refused before PhonePe, payment commits it', async () => {
+    await setStock('TEST-SAMPLE', { onHand: 2, reason: 'initial count' });
+
+    const first = env.newOrder({ items: [{ sku: 'TEST-SAMPLE', quantity: 2 }, { sku: 'TEST-OIL', quantity: 1 }] });
+    env.simulator.setNextOutcome('SUCCESS');
+    const created = await env.createPayment(first);
+    assert.equal(created.success, true);
+
+    let stock = await getStock('TEST-SAMPLE');
+    assert.deepEqual([stock.onHand, stock.reserved, stock.available], [2, 2, 0]);
+    assert.equal(stock.reservations[0].orderId, first.orderID);
+
+    const before = payCalls();
+    const soldOut = await env.createPayment(env.newOrder({ items: [{ sku: 'TEST-SAMPLE', quantity: 1 }] }));
+    assert.equal(soldOut.httpStatus, 409);
+    assert.equal(soldOut.code, 'OUT_OF_STOCK');
+    assert.equal(soldOut.message, 'Sorry, Test Sample is out of stock.');
+    assert.deepEqual(soldOut.items, [{ sku: 'TEST-SAMPLE', name: 'Test Sample', requested: 1, available: 0 }]);
+    assert.equal(payCalls(), before);
+
+    await env.simulator.sendCallback(created.merchantTransactionId);
+    stock = await getStock('TEST-SAMPLE');
+    assert.deepEqual([stock.onHand, stock.reserved, stock.available], [0, 0, 0]);
+
+    // Untracked products are unlimited
+    assert.equal((await getStock('TEST-OIL')).tracked, false);
+});
+
+test('failed payments give their stock back', async () => {
+    await setStock('TEST-MINI', { onHand: 3 });
+
+    const order = env.newOrder({ items: [{ sku: 'TEST-MINI', quantity: 2 }] });
+    env.simulator.setNextOutcome('FAILED');
+    const created = await env.createPayment(order);
+    assert.equal((await getStock('TEST-MINI')).available, 1);
+
+    const tooMany = await env.createPayment(env.newOrder({ items: [{ sku: 'TEST-MINI', quantity: 2 }] }));
+    assert.equal(tooMany.message, 'Sorry, only 1 × Test Mini left in stock.');
+
+    await env.simulator.sendCallback(created.merchantTransactionId);
+    const stock = await getStock('TEST-MINI');
+    assert.deepEqual([stock.onHand, stock.available], [3, 3]);
+});
+
+test('admins set, adjust and stop tracking stock', async () => {
+    assert.equal((await setStock('TEST-OIL', { onHand: 5, delta: 1 })).code, 'VALIDATION_ERROR');
+    assert.equal((await setStock('NO-SUCH-SKU', { onHand: 5 })).httpStatus, 404);
+
+    await setStock('TEST-OIL', { onHand: 5, reason: 'delivery' });
+    const adjusted = await setStock('TEST-OIL', { delta: -2, reason: 'damaged' });
+    assert.equal(adjusted.stock.onHand, 3);
+    assert.deepEqual(adjusted.stock.adjustments.map(entry => [entry.delta, entry.reason, entry.actor]), [
+        [-2, 'damaged', 'api-token'],
+        [5, 'delivery', 'api-token']
+    ]);
+    assert.equal((await setStock('TEST-OIL', { delta: -4 })).httpStatus, 400);
+
+    const list = await (await fetch(`${env.serverUrl}/admin/stock`, { headers: adminHeaders })).json();
+    assert.equal(list.stock.find(entry => entry.sku === 'TEST-OIL').available, 3);
+    assert.equal(list.stock.find(entry => entry.sku === 'TEST-RETIRED').tracked, false);
+
+    const untracked = await fetch(`${env.serverUrl}/admin/stock/TEST-OIL`, { method: 'DELETE', headers: adminHeaders });
+    assert.equal(untracked.status, 200);
+    assert.equal((await getStock('TEST-OIL')).tracked, false);
+});
+
+test('holds lapse after the hold time; a late payment is still committed', async () => {
+    const shortHold = await startTestEnvironment({ STOCK_HOLD_MINUTES: '0' });
+    try {
+        await setStock('TEST-SAMPLE', { onHand: 1 }, shortHold);
+
+        const late = shortHold.newOrder({ items: [{ sku: 'TEST-SAMPLE', quantity: 1 }] });
+        shortHold.simulator.setNextOutcome('SUCCESS');
+        const created = await shortHold.createPayment(late);
+        assert.equal((await getStock('TEST-SAMPLE', shortHold)).available, 1);
+
+        const other = await shortHold.createPaidOrder({ items: [{ sku: 'TEST-SAMPLE', quantity: 1 }] });
+        assert.equal((await shortHold.checkPayment(other.orderData.orderID)).status, 'PAID');
+
+        await shortHold.simulator.sendCallback(created.merchantTransactionId);
+        assert.equal((await getStock('TEST-SAMPLE', shortHold)).onHand, -1);
+    } finally {
+        await shortHold.stop();
+    }
+});
@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SMTPServer } = require('smtp-server');
+const { startTestEnvironment, ADMIN_API_TOKEN } = require('./helpers');
+
+const bearer = { Authorization: `Bearer ${ADMIN_API_TOKEN}`, Accept: 'application/json' };
+
+let env;
+let smtp;
+const mails = [];
+
+// Local SMTP catcher; keeps every message it is sent
+function startSmtpCatcher() {
+    smtp = new SMTPServer({
+        authOptional: true,
+        disabledCommands: ['STARTTLS'],
+        onData(stream, session, callback) {
+            let raw = '';
+            stream.on('data', chunk => (raw += chunk));
+            stream.on('end', () => {
+                mails.push({ to: session.envelope.rcptTo.map(r => r.address), raw });
+                callback();
+            });
+        }
+    });
+    return new Promise(resolve => smtp.listen(0, '127.0.0.1', () => resolve(smtp.server.address().port)));
+}
+
+async function waitFor(check, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Timed out waiting for condition');
+}
+
+async function getOrder(orderId) {
+    const response = await fetch(`${env.serverUrl}/admin/orders/${orderId}`, { headers: bearer });
+    return (await response.json()).order;
+}
+
+function mailsTo(address) {
+    return mails.filter(mail => mail.to.includes(address));
+}
+
+before(async () => {
+    const smtpPort = await startSmtpCatcher();
+    env = await startTestEnvironment({
+        SMTP_URL: `smtp://127.0.0.1:${smtpPort}`,
+        MAIL_FROM: 'Test Shop <orders@test.local>',
+        SELLER_NAME: 'Test Shop',
+        SELLER_ADDRESS: '1 Test Road, Pune',
+        SELLER_GSTIN: '27AAAAA0000A1Z5',
+        INVOICE_LINK_SECRET: 'test-invoice-secret'
+    });
+});
+
+after(async () => {
+    await env.stop();
+    await new Promise(resolve => smtp.close(resolve));
+});
+
+test('a paid order is invoiced with sequential numbers and emailed as a PDF', async () => {
+    const first = await env.createPaidOrder({ email: 'first@example.com', shippingAddress: { city: 'Mumbai', state: 'Maharashtra' } });
+    const second = await env.createPaidOrder({ email: 'second@example.com', shippingAddress: { city: 'Bengaluru', state: 'Karnataka' } });
+
+    const [mail] = await waitFor(() => mailsTo('first@example.com').length && mailsTo('first@example.com'));
+    await waitFor(() => mailsTo('second@example.com').length);
+
+    const firstInvoice = (await getOrder(first.orderData.orderID)).invoice;
+    const secondInvoice = (await getOrder(second.orderData.orderID)).invoice;
+    assert.match(firstInvoice.number, /^INV\/\d{4}-\d{2}\/\d{6}$/);
+    assert.equal(Number(secondInvoice.number.slice(-6)), Number(firstInvoice.number.slice(-6)) + 1);
+
+    assert.match(mail.raw, new RegExp(`Subject: Invoice ${firstInvoice.number.replace(/\//g, '\\/')}`));
+    assert.match(mail.raw, /Content-Type: application\/pdf/);
+    assert.match(mail.raw, new RegExp(`filename=${firstInvoice.number.replace(/\//g, '-')}\\.pdf`));
+    assert.equal(firstInvoice.email.status, 'SENT');
+});
+
+test('tax is split into CGST/SGST within the seller state and IGST across states', async () => {
+    const local = await env.createPaidOrder({ shippingAddress: { state: 'maharashtra' } });
+    const remote = await env.createPaidOrder({ shippingAddress: { state: 'Tamil Nadu' } });
+
+    const localInvoice = (await getOrder(local.orderData.orderID)).invoice;
+    assert.equal(localInvoice.taxType, 'INTRA_STATE');
+    assert.equal(localInvoice.seller.stateCode, '27');
+    assert.equal(localInvoice.lines[0].hsn, '3301');
+    assert.equal(localInvoice.totals.cgst + localInvoice.totals.sgst, 7612);
+    assert.equal(localInvoice.totals.igst, 0);
+
+    const remoteInvoice = (await getOrder(remote.orderData.orderID)).invoice;
+    assert.equal(remoteInvoice.taxType, 'INTER_STATE');
+    assert.deepEqual(remoteInvoice.placeOfSupply, { state: 'Tamil Nadu', code: '33' });
+    assert.equal(remoteInvoice.totals.igst, 7612);
+    assert.equal(remoteInvoice.totals.cgst, 0);
+});
+
+test('the invoice downloads with the signed link from the success page or as an admin', async () => {
+    const { orderData, merchantTransactionId } = await env.createPaidOrder();
+    const url = `${env.serverUrl}/orders/${orderData.orderID}/invoice`;
+
+    const page = await (await fetch(`${env.serverUrl}/payment-callback?merchantTransactionId=${merchantTransactionId}`)).text();
+    const link = page.match(/href="([^"]+\/invoice\?token=[^"]+)"/)[1];
+
+    const download = await fetch(link);
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('content-type'), 'application/pdf');
+    assert.equal(Buffer.from(await download.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+    assert.equal((await fetch(`${url}?token=forged`, { headers: { Accept: 'application/json' } })).status, 401);
+    assert.equal((await fetch(url, { headers: bearer })).status, 200);
+
+    const unpaid = env.newOrder();
+    env.simulator.setNextOutcome('PENDING');
+    await env.createPayment(unpaid);
+    assert.equal((await fetch(`${env.serverUrl}/orders/${unpaid.orderID}/invoice`, { headers: bearer })).status, 404);
+});
+
+test('admins can re-send an invoice, and unpaid orders cannot be invoiced', async () => {
+    const { orderData } = await env.createPaidOrder({ email: 'resend@example.com' });
+    await waitFor(async () => (await getOrder(orderData.orderID)).invoice.email.status === 'SENT');
+
+    const resend = await fetch(`${env.serverUrl}/admin/orders/${orderData.orderID}/invoice/resend`, { method: 'POST', headers: bearer });
+    const body = await resend.json();
+    assert.equal(body.success, true);
+    assert.equal(body.invoice.email.attempts, 2);
+    assert.equal(mailsTo('resend@example.com').length, 2);
+
+    const unpaid = env.newOrder({ email: 'unpaid@example.com' });
+    env.simulator.setNextOutcome('PENDING');
+    await env.createPayment(unpaid);
+    const rejected = await fetch(`${env.serverUrl}/admin/orders/${unpaid.orderID}/invoice/resend`, { method: 'POST', headers: bearer });
+    assert.equal(rejected.status, 400);
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { canTransition, startLifecycle, transition, getHistory } = require('../orderLifecycle');
+const { startTestEnvironment, ADMIN_API_TOKEN } = require('./helpers');
+
+let env;
+const bearer = { Authorization: `Bearer ${ADMIN_API_TOKEN}`, 'Content-Type': 'application/json' };
+
+before(async () => {
+    env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+async function getHistoryFor(orderId) {
+    const response = await fetch(`${env.serverUrl}/orders/${orderId}/history`, { headers: bearer });
+    return response.json();
+}
+
+function setStatus(orderId, status) {
+    return fetch(`${env.serverUrl}/admin/orders/${orderId}/status`, {
+        method: 'POST',
+        headers: bearer,
+        body: JSON.stringify({ status, note: 'test' })
+    });
+}
+
+test('transitions follow the lifecycle table and are recorded', () => {
+    const order = { orderID: 'UNIT1' };
+    startLifecycle(order, { source: 'api' });
+    assert.equal(order.status, 'CREATED');
+
+    assert.equal(transition(order, 'PAID', { source: 'poll' }), false);
+    assert.equal(transition(order, 'PAYMENT_PENDING', { source: 'api', code: 'PAYMENT_INITIATED' }), true);
+    assert.equal(transition(order, 'PAYMENT_PENDING', { source: 'poll' }), false);
+    assert.equal(transition(order, 'PAID', { source: 's2s_callback', code: 'PAYMENT_SUCCESS' }), true);
+    assert.equal(transition(order, 'FAILED', { source: 'redirect', code: 'PAYMENT_ERROR' }), false);
+
+    assert.equal(order.status, 'PAID');
+    assert.deepEqual(getHistory(order).map(h => [h.from, h.to, h.source]), [
+        [null, 'CREATED', 'api'],
+        ['CREATED', 'PAYMENT_PENDING', 'api'],
+        ['PAYMENT_PENDING', 'PAID', 's2s_callback']
+    ]);
+
+    assert.ok(canTransition('EXPIRED', 'PAID'));
+    assert.ok(!canTransition('REFUNDED', 'PAID'));
+    assert.ok(!canTransition('CANCELLED', 'PAYMENT_PENDING'));
+});
+
+test('a late PAYMENT_ERROR redirect cannot undo a PAID order', async () => {
+    const { orderData, merchantTransactionId } = await env.createPaidOrder();
+    env.simulator.setOutcome(merchantTransactionId, 'FAILED');
+
+    const redirect = await fetch(`${env.serverUrl}/payment-callback?merchantTransactionId=${merchantTransactionId}`);
+    assert.match(await redirect.text(), /Payment Successful/);
+
+    const { status, history } = await getHistoryFor(orderData.orderID);
+    assert.equal(status, 'PAID');
+    assert.deepEqual(history.map(h => [h.to, h.source, h.code]), [
+        ['CREATED', 'api', null],
+        ['PAYMENT_PENDING', 'api', 'PAYMENT_INITIATED'],
+        ['PAID', 's2s_callback', 'PAYMENT_SUCCESS']
+    ]);
+    assert.ok(history.every(h => !isNaN(Date.parse(h.at))));
+});
+
+test('admins move paid orders through fulfilment and cannot skip states', async () => {
+    const { orderData } = await env.createPaidOrder();
+
+    assert.equal((await setStatus(orderData.orderID, 'DELIVERED')).status, 400);
+    assert.equal((await setStatus(orderData.orderID, 'PAID')).status, 400);
+
+    assert.equal((await setStatus(orderData.orderID, 'FULFILLED')).status, 200);
+
+    const shipped = await fetch(`${env.serverUrl}/admin/orders/${orderData.orderID}/ship`, {
+        method: 'POST',
+        headers: bearer,
+        body: JSON.stringify({ carrier: 'BlueDart', trackingNumber: 'BD1' })
+    });
+    assert.equal(shipped.status, 200);
+    assert.equal((await setStatus(orderData.orderID, 'DELIVERED')).status, 200);
+
+    const { status, history } = await getHistoryFor(orderData.orderID);
+    assert.equal(status, 'DELIVERED');
+    assert.deepEqual(history.slice(-3).map(h => [h.to, h.source, h.actor]), [
+        ['FULFILLED', 'admin', 'api-token'],
+        ['SHIPPED', 'admin', 'api-token'],
+        ['DELIVERED', 'admin', 'api-token']
+    ]);
+});
+
+test('a cancelled order refuses new payment attempts', async () => {
+    const orderData = env.newOrder();
+    env.simulator.setNextOutcome('FAILED');
+    const { merchantTransactionId } = await env.createPayment(orderData);
+    await env.simulator.sendCallback(merchantTransactionId);
+
+    assert.equal((await setStatus(orderData.orderID, 'CANCELLED')).status, 200);
+
+    const retry = await env.createPayment(orderData);
+    assert.equal(retry.httpStatus, 409);
+    assert.equal(retry.status, 'CANCELLED');
+});
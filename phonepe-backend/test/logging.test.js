@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, runWithLogContext } = require('../logger');
+const { startTestEnvironment, SALT_KEY } = require('./helpers');
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+function captureLogger(options) {
+    const lines = [];
+    const logger = createLogger({ stream: { write: line => lines.push(JSON.parse(line)) }, ...options });
+    return { logger, lines };
+}
+
+test('log lines are JSON with levels, bindings and context, and customer data is masked', () => {
+    const { logger, lines } = captureLogger({ level: 'info' });
+    const log = logger.child({ component: 'test' });
+
+    log.debug('hidden');
+    runWithLogContext({ merchantTransactionId: 'TX1' }, () => {
+        log.info('Payment for 9876543210', {
+            phone: '9876543210',
+            name: 'Asha Rao',
+            email: 'asha@example.com',
+            merchantUserId: 'USER_9876543210',
+            headers: { 'X-VERIFY': 'abc123###1', 'X-MERCHANT-ID': 'PGTESTPAYUAT86' },
+            config: { saltKey: 'secret-salt', clientSecret: 'secret' }
+        });
+    });
+    log.error('Failed', new Error('call +91 98765 43210'));
+
+    assert.equal(lines.length, 2);
+    const [info, error] = lines;
+    assert.equal(info.level, 'info');
+    assert.equal(info.component, 'test');
+    assert.equal(info.merchantTransactionId, 'TX1');
+    assert.equal(info.msg, 'Payment for ******3210');
+    assert.equal(info.phone, '******3210');
+    assert.equal(info.name, 'A***');
+    assert.equal(info.email, 'a***@example.com');
+    assert.equal(info.merchantUserId, 'USER_******3210');
+    assert.deepEqual(info.headers, { 'X-VERIFY': '[REDACTED]', 'X-MERCHANT-ID': 'PGTE***' });
+    assert.deepEqual(info.config, { saltKey: '[REDACTED]', clientSecret: '[REDACTED]' });
+    assert.ok(!isNaN(Date.parse(info.time)));
+
+    assert.equal(error.level, 'error');
+    assert.equal(error.merchantTransactionId, undefined);
+    assert.equal(error.error.message, 'call ******3210');
+});
+
+test('requests get a correlation id that is echoed back and tagged on payment logs', async () => {
+    const orderData = env.newOrder();
+    const response = await fetch(`${env.serverUrl}/create-payment`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'test-correlation-1' },
+        body: JSON.stringify({ orderData })
+    });
+    const { merchantTransactionId } = await response.json();
+    assert.equal(response.headers.get('x-request-id'), 'test-correlation-1');
+
+    const generated = await fetch(`${env.serverUrl}/health`, { headers: { 'X-Request-Id': 'bad id with spaces' } });
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    const requestLogs = env.getLogs().filter(line => line.correlationId === 'test-correlation-1');
+    const initiated = requestLogs.find(line => line.msg === 'Initiating PhonePe payment');
+    assert.equal(initiated.merchantTransactionId, merchantTransactionId);
+    assert.equal(initiated.orderId, orderData.orderID);
+    assert.ok(requestLogs.some(line => line.msg === 'Request completed' && line.status === 200));
+});
+
+test('server logs never contain phone numbers, names, checksums or the salt key', async () => {
+    const { merchantTransactionId } = await env.createPaidOrder({ phone: '9123456789', name: 'Ravi Kumar' });
+    await fetch(`${env.serverUrl}/payment-callback?merchantTransactionId=${merchantTransactionId}`);
+
+    const raw = env.getRawLogs();
+    assert.ok(raw.includes(merchantTransactionId));
+    assert.ok(!raw.includes('9123456789'));
+    assert.ok(!raw.includes('Ravi Kumar'));
+    assert.ok(!raw.includes(SALT_KEY));
+    assert.ok(!/[0-9a-f]{64}###/.test(raw));
+});
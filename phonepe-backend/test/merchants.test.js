@@ -0,0 +1,154 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMerchantRegistry, readMerchantConfigs, MerchantConfigError } = require('../merchants');
+const { createPhonePeSimulator } = require('../phonepeSimulator');
+const { startTestEnvironment, MERCHANT_ID, SALT_KEY, ADMIN_API_TOKEN } = require('./helpers');
+
+// Two storefronts: "oils" mid salt rotation (old key 1, new key 2), "diffusers" on its own merchant account
+const OLD_SALT_KEY = 'sim-old-salt-key';
+const DIFFUSERS = { merchantId: 'SIMDIFFUSERS', saltKey: 'sim-diffusers-salt' };
+const UNREACHABLE = 'http://127.0.0.1:9';
+
+const bearer = { Authorization: `Bearer ${ADMIN_API_TOKEN}`, Accept: 'application/json' };
+
+let env;
+let diffusers;
+
+before(async () => {
+    diffusers = createPhonePeSimulator(DIFFUSERS);
+    const diffusersBaseUrl = await diffusers.listen();
+
+    env = await startTestEnvironment(({ phonepeBaseUrl, port }) => ({
+        MERCHANTS: JSON.stringify([
+            {
+                id: 'oils',
+                merchantId: MERCHANT_ID,
+                saltKeys: { 1: OLD_SALT_KEY, 2: SALT_KEY },
+                saltIndex: '2',
+                baseUrl: phonepeBaseUrl,
+                redirectUrl: `http://127.0.0.1:${port}/payment-callback`,
+                frontendUrl: 'https://oils.example.com',
+                googleSheetsUrl: `${UNREACHABLE}/oils`
+            },
+            {
+                id: 'diffusers',
+                ...DIFFUSERS,
+                baseUrl: diffusersBaseUrl,
+                redirectUrl: `http://127.0.0.1:${port}/payment-callback`,
+                frontendUrl: 'https://diffusers.example.com',
+                googleSheetsUrl: `${UNREACHABLE}/diffusers`
+            }
+        ])
+    }), { saltIndex: '2' });
+});
+
+after(async () => {
+    await env.stop();
+    await diffusers.close();
+});
+
+test('merchant config is validated, naming the env variable to set', () => {
+    const problems = error => {
+        assert.ok(error instanceof MerchantConfigError);
+        return error.problems;
+    };
+
+    assert.throws(() => createMerchantRegistry(readMerchantConfigs({ PHONEPE_MERCHANT_ID: 'M1' })), error => {
+        assert.deepEqual(problems(error), ['merchant "default": saltKeys is missing (set PHONEPE_SALT_KEY or PHONEPE_SALT_KEYS)']);
+        return true;
+    });
+
+    assert.throws(() => createMerchantRegistry([
+        { id: 'a', merchantId: 'M1', saltKeys: { 1: 'k' }, saltIndex: '2' },
+        { id: 'a', apiVersion: 'v2', clientId: 'C', clientSecret: 'S', clientVersion: '1' },
+        { id: 'bad id', merchantId: 'M2', saltKey: 'k', redirectUrl: 'not-a-url' }
+    ]), error => {
+        assert.deepEqual(problems(error), [
+            'merchant "a": no salt key for the active saltIndex 2',
+            'merchant "a": duplicate id',
+            'merchant "a": callbackUsername is missing',
+            'merchant "a": callbackPassword is missing',
+            'merchant "bad id": id must be letters, digits, "-" or "_"',
+            'merchant "bad id": redirectUrl is not a valid URL'
+        ]);
+        return true;
+    });
+
+    assert.throws(() => createMerchantRegistry([
+        { id: 'a', merchantId: 'M1', saltKey: 'k', branding: { primaryColor: 'red}</style>', logoUrl: 'javascript:alert(1)' } }
+    ]), /branding\.logoUrl is not a valid URL[\s\S]*branding\.primaryColor must be a hex colour/);
+
+    assert.throws(() => readMerchantConfigs({ MERCHANTS: '{' }), MerchantConfigError);
+    assert.throws(() => readMerchantConfigs({ MERCHANTS: '[]' }), /non-empty JSON array/);
+});
+
+test('the server refuses to start without PhonePe credentials', async () => {
+    await assert.rejects(startTestEnvironment({ PHONEPE_SALT_KEY: '' }), /refusing to start[\s\S]*PHONEPE_SALT_KEY/);
+});
+
+test('each storefront pays through its own merchant and lands on its own frontend', async () => {
+    const oilsOrder = env.newOrder();
+    const oils = await env.createPayment(oilsOrder);
+    assert.equal(env.simulator.getTransaction(oils.merchantTransactionId).payload.merchantId, MERCHANT_ID);
+
+    const diffusersOrder = env.newOrder({ storefront: 'diffusers' });
+    const created = await env.createPayment(diffusersOrder);
+    assert.equal(created.success, true);
+    assert.equal(diffusers.getTransaction(created.merchantTransactionId).payload.merchantId, DIFFUSERS.merchantId);
+
+    const callback = await diffusers.sendCallback(created.merchantTransactionId);
+    assert.equal(callback.status, 200);
+    assert.match(await callback.text(), /https:\/\/diffusers\.example\.com\/cart\.html/);
+
+    const paid = await env.checkPayment(diffusersOrder.orderID);
+    assert.equal(paid.status, 'PAID');
+    assert.equal(paid.order.storefront, 'diffusers');
+    assert.equal((await env.checkPayment(oilsOrder.orderID)).order.storefront, 'oils');
+
+    // Each storefront's Sheet only gets its own orders
+    const outbox = await (await fetch(`${env.serverUrl}/admin/outbox?status=pending`, { headers: bearer })).json();
+    const sheetsFor = orderId => outbox.jobs.filter(job => job.payload.order.orderID === orderId).map(job => job.destination);
+    assert.ok(sheetsFor(diffusersOrder.orderID).length > 0);
+    assert.ok(sheetsFor(diffusersOrder.orderID).every(name => name === 'google-sheets-diffusers'));
+    assert.ok(sheetsFor(oilsOrder.orderID).every(name => name === 'google-sheets'));
+});
+
+test('callbacks signed with the previous salt index are accepted during a rotation', async () => {
+    const { merchantTransactionId, orderId } = await env.createPayment(env.newOrder());
+
+    const unknownIndex = await env.simulator.sendCallback(merchantTransactionId, { saltIndex: '3' });
+    assert.equal(unknownIndex.status, 400);
+
+    const wrongKey = await env.simulator.sendCallback(merchantTransactionId, { saltKey: 'not-the-old-key', saltIndex: '1' });
+    assert.equal(wrongKey.status, 400);
+
+    const oldKey = await env.simulator.sendCallback(merchantTransactionId, { saltKey: OLD_SALT_KEY, saltIndex: '1' });
+    assert.equal(oldKey.status, 200);
+    assert.equal((await env.checkPayment(orderId)).status, 'PAID');
+});
+
+test('a callback signed by another storefront is rejected', async () => {
+    const { merchantTransactionId, orderId } = await env.createPayment(env.newOrder());
+
+    const response = await env.simulator.sendCallback(merchantTransactionId, { saltKey: DIFFUSERS.saltKey, saltIndex: '1' });
+    assert.equal(response.status, 400);
+
+    // Read through the admin API: /check-payment would settle a pending order with the status API
+    const order = await (await fetch(`${env.serverUrl}/admin/orders/${orderId}`, { headers: bearer })).json();
+    assert.equal(order.order.status, 'PAYMENT_PENDING');
+});
+
+test('unknown storefronts are rejected, and an order keeps its storefront on retry', async () => {
+    const unknown = await env.createPayment(env.newOrder({ storefront: 'candles' }));
+    assert.equal(unknown.httpStatus, 400);
+    assert.match(unknown.message, /Unknown storefront/);
+
+    const orderData = env.newOrder();
+    env.simulator.setNextOutcome('FAILED');
+    const failed = await env.createPayment(orderData);
+    await env.simulator.sendCallback(failed.merchantTransactionId);
+
+    const moved = await env.createPayment({ ...orderData, storefront: 'diffusers' });
+    assert.equal(moved.httpStatus, 409);
+    assert.match(moved.message, /another storefront/);
+});
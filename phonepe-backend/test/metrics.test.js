@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment, MERCHANT_ID } = require('./helpers');
+
+const METRICS_TOKEN = 'test-metrics-token';
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment({
+        METRICS_TOKEN,
+        // Nothing listens here, so every Sheets delivery fails
+        GOOGLE_SHEETS_URL: 'http://127.0.0.1:9/sheets'
+    });
+});
+
+after(() => env.stop());
+
+async function scrape() {
+    const response = await fetch(`${env.serverUrl}/metrics`, { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    return response.text();
+}
+
+// Value of one sample, e.g. metric(text, 'phonepe_payments_paid_total{storefront="default"}')
+function metric(text, sample) {
+    const line = text.split('\n').find(l => l.startsWith(`${sample} `));
+    return line ? Number(line.slice(sample.length + 1)) : 0;
+}
+
+test('/metrics needs the token when METRICS_TOKEN is set', async () => {
+    const anonymous = await fetch(`${env.serverUrl}/metrics`);
+    assert.equal(anonymous.status, 401);
+
+    const wrong = await fetch(`${env.serverUrl}/metrics`, { headers: { Authorization: 'Bearer nope' } });
+    assert.equal(wrong.status, 401);
+});
+
+test('payment counters, the pending gauge and PhonePe latency are exported', async () => {
+    const before = await scrape();
+
+    await env.createPaidOrder();
+
+    const orderData = env.newOrder();
+    env.simulator.setNextOutcome('FAILED');
+    const failed = await env.createPayment(orderData);
+    await env.simulator.sendCallback(failed.merchantTransactionId);
+
+    env.simulator.setNextOutcome('PENDING');
+    await env.createPayment(env.newOrder());
+
+    const after = await scrape();
+    const delta = sample => metric(after, sample) - metric(before, sample);
+
+    assert.equal(delta('phonepe_payments_created_total{storefront="default"}'), 3);
+    assert.equal(delta('phonepe_payments_paid_total{storefront="default"}'), 1);
+    assert.equal(delta('phonepe_payments_failed_total{storefront="default",status="FAILED"}'), 1);
+    assert.equal(metric(after, 'phonepe_payments_pending{storefront="default"}'), 1);
+    assert.ok(metric(after, 'phonepe_api_request_duration_seconds_count{endpoint="/pg/v1/pay",method="POST",status="200"}') >= 3);
+    assert.match(after, /^process_cpu_user_seconds_total /m);
+});
+
+test('forged callbacks and failed Sheets deliveries are counted', async () => {
+    env.simulator.setNextOutcome('FAILED');
+    const { merchantTransactionId } = await env.createPayment(env.newOrder());
+    const before = await scrape();
+
+    const forged = await env.simulator.sendCallback(merchantTransactionId, { tamper: true });
+    assert.equal(forged.status, 400);
+
+    const refund = await fetch(`${env.serverUrl}/refund-callback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response: 'e30=' })
+    });
+    assert.equal(refund.status, 400);
+
+    const after = await scrape();
+    assert.equal(metric(after, 'phonepe_callback_checksum_failures_total{type="payment"}') - metric(before, 'phonepe_callback_checksum_failures_total{type="payment"}'), 1);
+    assert.equal(metric(after, 'phonepe_callback_checksum_failures_total{type="refund"}') - metric(before, 'phonepe_callback_checksum_failures_total{type="refund"}'), 1);
+
+    // The outbox works in the background; wait for its first failed attempt
+    const sample = 'phonepe_outbox_delivery_failures_total{destination="google-sheets",type="google-sheets"}';
+    const deadline = Date.now() + 10000;
+    let failures = 0;
+    while ((failures = metric(await scrape(), sample)) === 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    assert.ok(failures >= 1);
+});
+
+test('liveness and readiness report status without credentials', async () => {
+    const live = await fetch(`${env.serverUrl}/health/live`);
+    assert.equal(live.status, 200);
+    assert.equal((await live.json()).status, 'OK');
+
+    const ready = await fetch(`${env.serverUrl}/health/ready`);
+    assert.equal(ready.status, 200);
+    const readiness = await ready.json();
+    assert.equal(readiness.status, 'READY');
+    assert.deepEqual(readiness.checks, { storage: { status: 'OK' }, gateway: { status: 'OK' } });
+
+    const health = await (await fetch(`${env.serverUrl}/health`)).text();
+    assert.match(health, /"status":"OK"/);
+    for (const body of [health, JSON.stringify(readiness)]) {
+        assert.ok(!body.includes(MERCHANT_ID));
+        assert.ok(!/salt|secret|password/i.test(body));
+    }
+});
@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment } = require('./helpers');
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment({ ORDER_EVENTS_HEARTBEAT_SECONDS: '1' });
+});
+
+after(() => env.stop());
+
+// Reads a Server-Sent Events response into { event, data } / { comment } entries as they arrive
+async function openStream(url) {
+    const controller = new AbortController();
+    const response = await fetch(url, { signal: controller.signal });
+    const stream = { response, entries: [], ended: false, close: () => controller.abort() };
+    if (!response.ok) return stream;
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    (async () => {
+        try {
+            for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                buffer += decoder.decode(chunk.value, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    if (block.startsWith(':')) {
+                        stream.entries.push({ comment: block.slice(1).trim() });
+                    } else if (block.startsWith('event:')) {
+                        const [, event] = block.match(/^event: (.*)$/m);
+                        const [, data] = block.match(/^data: (.*)$/m);
+                        stream.entries.push({ event, data: JSON.parse(data) });
+                    }
+                }
+            }
+        } catch {
+            // Aborted by the test
+        }
+        stream.ended = true;
+    })();
+
+    return stream;
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (check()) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for condition');
+}
+
+const statusEvents = stream => stream.entries.filter(entry => entry.event);
+
+async function createPending() {
+    const orderData = env.newOrder();
+    env.simulator.setNextOutcome('PENDING');
+    const created = await env.createPayment(orderData);
+    assert.equal(created.success, true);
+    return { orderData, created };
+}
+
+test('the checkout sees a snapshot, then the callback outcome, and the stream ends', async () => {
+    const { orderData, created } = await createPending();
+    assert.ok(created.statusToken);
+    assert.equal(created.eventsUrl, `${env.serverUrl}/orders/${orderData.orderID}/events?token=${created.statusToken}`);
+
+    const stream = await openStream(created.eventsUrl);
+    assert.equal(stream.response.headers.get('content-type'), 'text/event-stream');
+    await waitFor(() => statusEvents(stream).length === 1);
+
+    const [snapshot] = statusEvents(stream);
+    assert.equal(snapshot.event, 'snapshot');
+    assert.deepEqual([snapshot.data.status, snapshot.data.final, snapshot.data.merchantTransactionId], ['PAYMENT_PENDING', false, created.merchantTransactionId]);
+    assert.equal(snapshot.data.name, undefined);
+
+    await waitFor(() => stream.entries.some(entry => entry.comment?.startsWith('heartbeat')));
+
+    env.simulator.setOutcome(created.merchantTransactionId, 'SUCCESS');
+    await env.simulator.sendCallback(created.merchantTransactionId);
+    await waitFor(() => stream.ended);
+
+    const last = statusEvents(stream).at(-1);
+    assert.equal(last.event, 'status');
+    assert.deepEqual([last.data.status, last.data.final], ['PAID', true]);
+    assert.equal(last.data.phonepeTransactionId, env.simulator.getTransaction(created.merchantTransactionId).transactionId);
+});
+
+test('a status check that settles the payment is pushed too', async () => {
+    const { orderData, created } = await createPending();
+    const stream = await openStream(created.eventsUrl);
+    await waitFor(() => statusEvents(stream).length === 1);
+
+    env.simulator.setOutcome(created.merchantTransactionId, 'SUCCESS');
+    assert.equal((await env.checkPayment(orderData.orderID)).status, 'PAID');
+    await waitFor(() => stream.ended);
+
+    assert.deepEqual(statusEvents(stream).map(entry => [entry.event, entry.data.status]), [['snapshot', 'PAYMENT_PENDING'], ['status', 'PAID']]);
+});
+
+test('settled orders send one snapshot; other people cannot listen', async () => {
+    const orderData = env.newOrder();
+    env.simulator.setNextOutcome('SUCCESS');
+    const paid = await env.createPayment(orderData);
+    await env.simulator.sendCallback(paid.merchantTransactionId);
+
+    const settled = await openStream(paid.eventsUrl);
+    await waitFor(() => settled.ended);
+    assert.deepEqual(statusEvents(settled).map(entry => [entry.event, entry.data.status, entry.data.final]), [['snapshot', 'PAID', true]]);
+
+    // Another order's token, or none, gets nothing
+    const { created: other } = await createPending();
+    const eventsUrl = `${env.serverUrl}/orders/${orderData.orderID}/events`;
+    assert.equal((await openStream(`${eventsUrl}?token=${other.statusToken}`)).response.status, 403);
+    assert.equal((await openStream(eventsUrl)).response.status, 403);
+    assert.equal((await openStream(`${env.serverUrl}/orders/NO-SUCH-ORDER/events?token=x`)).response.status, 404);
+});
+
+test('a status token only follows its own attempt, and expires', async () => {
+    const orderData = env.newOrder();
+    env.simulator.setNextOutcome('FAILED');
+    const first = await env.createPayment(orderData);
+    await env.simulator.sendCallback(first.merchantTransactionId);
+
+    env.simulator.setNextOutcome('PENDING');
+    const retry = await env.createPayment(orderData);
+    assert.equal((await openStream(first.eventsUrl)).response.status, 403);
+    const current = await openStream(retry.eventsUrl);
+    assert.equal(current.response.status, 200);
+    current.close();
+
+    const shortLived = await startTestEnvironment({ ORDER_TOKEN_TTL_MINUTES: '0' });
+    try {
+        shortLived.simulator.setNextOutcome('PENDING');
+        const created = await shortLived.createPayment(shortLived.newOrder());
+        assert.equal((await openStream(created.eventsUrl)).response.status, 403);
+    } finally {
+        await shortLived.stop();
+    }
+});
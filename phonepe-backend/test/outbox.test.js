@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startTestEnvironment, ADMIN_API_TOKEN } = require('./helpers');
+const { signWebhook } = require('../outbox');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const bearer = { Authorization: `Bearer ${ADMIN_API_TOKEN}` };
+
+let env;
+let receiver;
+let receiverUrl;
+let failing = false;
+const received = [];
+
+// Stand-in for Google Sheets and a webhook consumer; answers 500 while `failing`
+function startReceiver() {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+            if (failing) {
+                res.writeHead(500).end();
+                return;
+            }
+            received.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+            res.writeHead(200).end('ok');
+        });
+    });
+    return new Promise(resolve => receiver.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${receiver.address().port}`)));
+}
+
+async function waitFor(check, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Timed out waiting for condition');
+}
+
+async function getOutbox(status = 'dead') {
+    const response = await fetch(`${env.serverUrl}/admin/outbox?status=${status}`, { headers: bearer });
+    return response.json();
+}
+
+before(async () => {
+    receiverUrl = await startReceiver();
+    env = await startTestEnvironment({
+        GOOGLE_SHEETS_URL: `${receiverUrl}/sheets`,
+        WEBHOOK_DESTINATIONS: JSON.stringify([{ name: 'erp', url: `${receiverUrl}/erp`, secret: WEBHOOK_SECRET }]),
+        OUTBOX_MAX_ATTEMPTS: '2',
+        OUTBOX_RETRY_BASE_MS: '100'
+    });
+});
+
+after(async () => {
+    await env.stop();
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+test('order events reach Google Sheets and signed webhooks', async () => {
+    const { orderData } = await env.createPaidOrder();
+    const forOrder = path => received.filter(r => r.path === path && (r.json.orderID || r.json.orderId || r.json.data?.orderID) === orderData.orderID);
+
+    const webhooks = await waitFor(() => forOrder('/erp').length === 2 && forOrder('/erp'));
+    assert.deepEqual(webhooks.map(w => w.json.event), ['order.created', 'order.paid']);
+
+    for (const webhook of webhooks) {
+        const { 'x-webhook-timestamp': timestamp, 'x-webhook-signature': signature } = webhook.headers;
+        assert.equal(signature, signWebhook(WEBHOOK_SECRET, timestamp, webhook.body));
+        assert.equal(webhook.headers['x-webhook-id'], webhook.json.id);
+    }
+    assert.equal(webhooks[1].json.data.status, 'PAID');
+
+    const sheets = await waitFor(() => forOrder('/sheets').length === 2 && forOrder('/sheets'));
+    assert.equal(sheets[0].json.orderID, orderData.orderID);
+    assert.deepEqual(
+        { action: sheets[1].json.action, status: sheets[1].json.status },
+        { action: 'update', status: 'PAID' }
+    );
+});
+
+test('failing deliveries are retried, dead-lettered and can be replayed', async () => {
+    failing = true;
+    const created = await env.createPayment(env.newOrder());
+    assert.equal(created.success, true);
+
+    const dead = await waitFor(async () => {
+        const outbox = await getOutbox();
+        const jobs = outbox.jobs.filter(j => j.payload.order.orderID === created.orderId);
+        return jobs.length === 2 && jobs;
+    });
+    assert.ok(dead.every(job => job.attempts === 2 && job.last_error === 'HTTP 500'));
+
+    const unauthenticated = await fetch(`${env.serverUrl}/admin/outbox/${dead[0].id}/replay`, { method: 'POST' });
+    assert.equal(unauthenticated.status, 401);
+
+    failing = false;
+    const replayOne = await fetch(`${env.serverUrl}/admin/outbox/${dead[0].id}/replay`, { method: 'POST', headers: bearer });
+    assert.deepEqual(await replayOne.json(), { success: true, replayed: 1 });
+
+    const replayAll = await fetch(`${env.serverUrl}/admin/outbox/replay`, { method: 'POST', headers: bearer });
+    assert.equal((await replayAll.json()).replayed, 1);
+
+    await waitFor(async () => (await getOutbox()).counts.dead === 0 && (await getOutbox()).counts.pending === 0);
+    assert.equal(received.filter(r => r.path === '/erp' && r.json.data.orderID === created.orderId).length, 1);
+
+    const missing = await fetch(`${env.serverUrl}/admin/outbox/999999/replay`, { method: 'POST', headers: bearer });
+    assert.equal(missing.status, 404);
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePaymentMode } = require('../paymentModes');
+const { startTestEnvironment, ADMIN_API_TOKEN } = require('./helpers');
+
+let env;
+let simulator;
+
+before(async () => {
+    env = await startTestEnvironment();
+    ({ simulator } = env);
+});
+
+after(() => env.stop());
+
+test('payment modes are checked before anything reaches PhonePe', () => {
+    assert.deepEqual(parsePaymentMode({}), { type: 'PAY_PAGE' });
+    assert.deepEqual(parsePaymentMode({ paymentMode: 'upi_intent', targetApp: 'com.phonepe.app' }), { type: 'UPI_INTENT', targetApp: 'com.phonepe.app', deviceOS: 'ANDROID' });
+    assert.deepEqual(parsePaymentMode({ paymentMode: 'UPI_COLLECT', vpa: ' asha.k@okaxis ' }), { type: 'UPI_COLLECT', vpa: 'asha.k@okaxis' });
+
+    const reason = orderData => {
+        try {
+            parsePaymentMode(orderData);
+        } catch (error) {
+            return error.details.reason;
+        }
+    };
+    assert.equal(reason({ paymentMode: 'CARD' }), 'UNKNOWN_PAYMENT_MODE');
+    assert.equal(reason({ paymentMode: 'UPI_COLLECT' }), 'INVALID_VPA');
+    assert.equal(reason({ paymentMode: 'UPI_COLLECT', vpa: 'not a vpa' }), 'INVALID_VPA');
+    assert.equal(reason({ paymentMode: 'UPI_INTENT', targetApp: 'javascript:alert(1)' }), 'INVALID_TARGET_APP');
+    assert.equal(reason({ paymentMode: 'UPI_INTENT', deviceOS: 'WINDOWS' }), 'INVALID_DEVICE_OS');
+});
+
+test('UPI_INTENT returns a deep link for the chosen app and settles by callback', async () => {
+    const orderData = env.newOrder({ paymentMode: 'UPI_INTENT', targetApp: 'com.phonepe.app' });
+    simulator.setNextOutcome('SUCCESS');
+
+    const created = await env.createPayment(orderData);
+    assert.equal(created.success, true);
+    assert.equal(created.paymentMode, 'UPI_INTENT');
+    assert.match(created.intentUrl, /^upi:\/\/pay\?/);
+    assert.equal(created.paymentUrl, undefined);
+
+    const { payload } = simulator.getTransaction(created.merchantTransactionId);
+    assert.deepEqual(payload.paymentInstrument, { type: 'UPI_INTENT', targetApp: 'com.phonepe.app' });
+    assert.deepEqual(payload.deviceContext, { deviceOS: 'ANDROID' });
+
+    await simulator.sendCallback(created.merchantTransactionId);
+    const paid = await env.checkPayment(orderData.orderID);
+    assert.equal(paid.status, 'PAID');
+    assert.equal(paid.order.paymentAttempts[0].paymentMode, 'UPI_INTENT');
+});
+
+test('UPI_COLLECT validates the UPI ID first and sends the collect request to it', async () => {
+    const payRequests = () => simulator.requests.filter(request => request.path === '/pg/v1/pay').length;
+    const paysBefore = payRequests();
+
+    const malformed = await env.createPayment(env.newOrder({ paymentMode: 'UPI_COLLECT', vpa: 'asha' }));
+    assert.equal(malformed.httpStatus, 400);
+    assert.equal(malformed.reason, 'INVALID_VPA');
+
+    const unknown = await env.createPayment(env.newOrder({ paymentMode: 'UPI_COLLECT', vpa: 'unknown.user@ybl' }));
+    assert.equal(unknown.httpStatus, 400);
+    assert.equal(unknown.reason, 'INVALID_VPA');
+    assert.match(unknown.message, /does not exist/);
+    assert.equal(payRequests(), paysBefore);
+
+    const orderData = env.newOrder({ paymentMode: 'UPI_COLLECT', vpa: 'asha.k@okaxis' });
+    simulator.setNextOutcome('PENDING');
+    const created = await env.createPayment(orderData);
+    assert.equal(created.success, true);
+    assert.equal(created.paymentMode, 'UPI_COLLECT');
+    assert.equal(created.vpa, 'asha.k@okaxis');
+    assert.deepEqual(simulator.getTransaction(created.merchantTransactionId).payload.paymentInstrument, { type: 'UPI_COLLECT', vpa: 'asha.k@okaxis' });
+
+    // The customer approves in their UPI app; the frontend finds out by polling
+    assert.equal((await env.checkPayment(orderData.orderID)).status, 'PAYMENT_PENDING');
+    simulator.setOutcome(created.merchantTransactionId, 'SUCCESS');
+    assert.equal((await env.checkPayment(orderData.orderID)).status, 'PAID');
+});
+
+test('UPI_QR returns the QR data and a PNG of it', async () => {
+    const orderData = env.newOrder({ paymentMode: 'UPI_QR' });
+    simulator.setNextOutcome('FAILED');
+
+    const created = await env.createPayment(orderData);
+    assert.equal(created.success, true);
+    assert.match(created.qrData, /^upi:\/\/pay\?.*am=499\.00/);
+    assert.match(created.qrImage, /^data:image\/png;base64,/);
+
+    await simulator.sendCallback(created.merchantTransactionId);
+    assert.equal((await env.checkPayment(orderData.orderID)).status, 'FAILED');
+});
+
+test('a QR code that cannot be drawn fails the attempt and gives the stock back', async () => {
+    // Too much data for any QR code
+    const oversized = await startTestEnvironment({}, { payeeName: 'x'.repeat(3000) });
+    try {
+        const adminHeaders = { Authorization: `Bearer ${ADMIN_API_TOKEN}`, 'Content-Type': 'application/json' };
+        const stockUrl = `${oversized.serverUrl}/admin/stock/TEST-OIL`;
+        await fetch(stockUrl, { method: 'POST', headers: adminHeaders, body: JSON.stringify({ onHand: 1 }) });
+
+        const orderData = oversized.newOrder({ paymentMode: 'UPI_QR' });
+        const created = await oversized.createPayment(orderData);
+        assert.equal(created.httpStatus, 200);
+        assert.deepEqual([created.success, created.code], [false, 'INSTRUMENT_UNAVAILABLE']);
+
+        const { order } = await oversized.checkPayment(orderData.orderID);
+        assert.equal(order.status, 'FAILED');
+        assert.deepEqual(order.paymentAttempts.map(a => [a.status, a.paymentCode]), [['FAILED', 'INSTRUMENT_UNAVAILABLE']]);
+        assert.equal((await (await fetch(stockUrl, { headers: adminHeaders })).json()).stock.available, 1);
+    } finally {
+        await oversized.stop();
+    }
+});
+
+test('an unknown payment mode is a 400 and records nothing', async () => {
+    const orderData = env.newOrder({ paymentMode: 'NETBANKING' });
+    const created = await env.createPayment(orderData);
+    assert.equal(created.httpStatus, 400);
+    assert.equal(created.reason, 'UNKNOWN_PAYMENT_MODE');
+    assert.equal((await env.checkPayment(orderData.orderID)).success, false);
+});
@@ -0,0 +1,232 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestEnvironment, MERCHANT_ID, SALT_INDEX, ADMIN_API_TOKEN } = require('./helpers');
+
+let env;
+let simulator;
+let serverUrl;
+let phonepeBaseUrl;
+
+const newOrder = overrides => env.newOrder(overrides);
+const createPayment = (orderData, headers) => env.createPayment(orderData, headers);
+const checkPayment = orderId => env.checkPayment(orderId);
+
+before(async () => {
+    env = await startTestEnvironment();
+    ({ simulator, serverUrl, phonepeBaseUrl } = env);
+});
+
+after(() => env.stop());
+
+test('simulator rejects requests signed with the wrong salt key', async () => {
+    const request = Buffer.from(JSON.stringify({ merchantId: MERCHANT_ID, merchantTransactionId: 'X1', amount: 100 })).toString('base64');
+    const checksum = crypto.createHash('sha256').update(request + '/pg/v1/pay' + 'wrong-salt').digest('hex') + '###' + SALT_INDEX;
+
+    const response = await fetch(`${phonepeBaseUrl}/pg/v1/pay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-VERIFY': checksum, 'X-MERCHANT-ID': MERCHANT_ID },
+        body: JSON.stringify({ request })
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'BAD_REQUEST');
+});
+
+test('happy path: payment is created, S2S callback marks the order PAID', async () => {
+    const orderData = newOrder();
+    simulator.setNextOutcome('SUCCESS');
+
+    const created = await createPayment(orderData);
+    assert.equal(created.success, true);
+    assert.match(created.paymentUrl, /\/pay-page\//);
+
+    assert.equal(created.orderId, orderData.orderID);
+    assert.notEqual(created.merchantTransactionId, orderData.orderID);
+
+    const payload = simulator.getTransaction(created.merchantTransactionId).payload;
+    assert.equal(payload.amount, 49900);
+    assert.equal(payload.merchantId, MERCHANT_ID);
+
+    const callback = await simulator.sendCallback(created.merchantTransactionId);
+    assert.equal(callback.status, 200);
+    assert.match(await callback.text(), /Payment Successful/);
+
+    const paid = await checkPayment(orderData.orderID);
+    assert.equal(paid.status, 'PAID');
+    assert.equal(paid.order.phonepeTransactionId, simulator.getTransaction(created.merchantTransactionId).transactionId);
+});
+
+test('payment amount comes from the catalog, not the client total', async () => {
+    const orderData = newOrder({
+        items: [{ sku: 'TEST-MINI', quantity: 1 }],
+        totalAmount: '1.00'
+    });
+
+    const created = await createPayment(orderData);
+    assert.equal(created.success, true);
+    assert.equal(created.amount, '99.00');
+    assert.equal(created.pricing.shipping, 4900);
+
+    assert.equal(simulator.getTransaction(created.merchantTransactionId).payload.amount, 9900);
+    assert.equal((await checkPayment(orderData.orderID)).order.pricing.total, 9900);
+});
+
+test('unknown and inactive SKUs are rejected before calling PhonePe', async () => {
+    const orderData = newOrder({
+        items: [{ sku: 'TEST-OIL', quantity: 1 }, { sku: 'NOPE', quantity: 1 }, { sku: 'TEST-RETIRED', quantity: 2 }]
+    });
+
+    const created = await createPayment(orderData);
+    assert.equal(created.success, false);
+    assert.deepEqual(created.unknownSkus, ['NOPE']);
+    assert.deepEqual(created.inactiveSkus, ['TEST-RETIRED']);
+    assert.equal(created.httpStatus, 400);
+    assert.equal((await checkPayment(orderData.orderID)).success, false);
+});
+
+test('browser redirect is verified against the status API', async () => {
+    const orderData = newOrder();
+    simulator.setNextOutcome('FAILED');
+    const { merchantTransactionId } = await createPayment(orderData);
+
+    const response = await fetch(`${serverUrl}/payment-callback?merchantTransactionId=${merchantTransactionId}`);
+    assert.match(await response.text(), /Payment Failed/);
+
+    assert.equal((await checkPayment(orderData.orderID)).status, 'FAILED');
+});
+
+test('forged callback checksum is rejected and the order is untouched', async () => {
+    const orderData = newOrder();
+    simulator.setNextOutcome('FAILED');
+    const { merchantTransactionId } = await createPayment(orderData);
+
+    const forged = await simulator.sendCallback(merchantTransactionId, { tamper: true });
+    assert.equal(forged.status, 400);
+    assert.match(await forged.text(), /Invalid Checksum/);
+
+    const unsigned = await simulator.sendCallback(merchantTransactionId, { tamper: 'unsigned' });
+    assert.equal(unsigned.status, 400);
+
+    const order = (await checkPayment(orderData.orderID)).order;
+    assert.notEqual(order.status, 'PAID');
+});
+
+test('unknown order is reported as not found', async () => {
+    const status = await checkPayment('DOES_NOT_EXIST');
+    assert.equal(status.success, false);
+    assert.equal(status.message, 'Order not found');
+
+    const response = await fetch(`${serverUrl}/payment-callback?merchantTransactionId=DOES_NOT_EXIST`);
+    assert.match(await response.text(), /Order Not Found/);
+});
+
+test('pending order resolves once PhonePe settles it', async () => {
+    const orderData = newOrder();
+    simulator.setNextOutcome('PENDING');
+    const { merchantTransactionId } = await createPayment(orderData);
+
+    const pending = await checkPayment(orderData.orderID);
+    assert.equal(pending.status, 'PAYMENT_PENDING');
+
+    simulator.setOutcome(merchantTransactionId, 'SUCCESS');
+
+    const settled = await checkPayment(orderData.orderID);
+    assert.equal(settled.status, 'PAID');
+});
+
+test('refunds cannot exceed the paid amount', async () => {
+    const orderData = newOrder({ items: [{ sku: 'TEST-SAMPLE', quantity: 1 }] });
+    simulator.setNextOutcome('SUCCESS');
+    const { merchantTransactionId } = await createPayment(orderData);
+    await simulator.sendCallback(merchantTransactionId);
+
+    const refund = (amount) => fetch(`${serverUrl}/orders/${orderData.orderID}/refund`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_API_TOKEN}` },
+        body: JSON.stringify({ amount })
+    }).then(r => r.json());
+
+    const partial = await refund(40);
+    assert.equal(partial.success, true);
+    assert.equal(partial.status, 'PARTIALLY_REFUNDED');
+
+    const tooMuch = await refund(61);
+    assert.equal(tooMuch.success, false);
+
+    const rest = await refund(60);
+    assert.equal(rest.status, 'REFUNDED');
+});
+
+test('repeated Idempotency-Key returns the stored response without a second payment', async () => {
+    const orderData = newOrder();
+    const headers = { 'Idempotency-Key': `key-${orderData.orderID}` };
+    simulator.setNextOutcome('PENDING');
+
+    const first = await createPayment(orderData, headers);
+    const payCalls = simulator.requests.filter(r => r.path === '/pg/v1/pay').length;
+    const second = await createPayment(orderData, headers);
+
+    assert.deepEqual(second, first);
+    assert.equal(simulator.requests.filter(r => r.path === '/pg/v1/pay').length, payCalls);
+
+    const reused = await createPayment(newOrder(), headers);
+    assert.equal(reused.httpStatus, 422);
+});
+
+test('a paid order refuses new payment attempts, a failed one allows a retry', async () => {
+    const paidOrder = newOrder();
+    simulator.setNextOutcome('SUCCESS');
+    const { merchantTransactionId } = await createPayment(paidOrder);
+    await simulator.sendCallback(merchantTransactionId);
+
+    const again = await createPayment(paidOrder);
+    assert.equal(again.httpStatus, 409);
+    assert.equal(again.status, 'PAID');
+
+    const failedOrder = newOrder();
+    simulator.setNextOutcome('FAILED');
+    const firstAttempt = await createPayment(failedOrder);
+    await simulator.sendCallback(firstAttempt.merchantTransactionId);
+
+    const inProgress = newOrder();
+    simulator.setNextOutcome('PENDING');
+    await createPayment(inProgress);
+    assert.equal((await createPayment(inProgress)).httpStatus, 409);
+
+    simulator.setNextOutcome('SUCCESS');
+    const retry = await createPayment(failedOrder);
+    assert.equal(retry.success, true);
+    assert.notEqual(retry.merchantTransactionId, firstAttempt.merchantTransactionId);
+
+    await simulator.sendCallback(retry.merchantTransactionId);
+    const { order } = await checkPayment(failedOrder.orderID);
+    assert.equal(order.status, 'PAID');
+    assert.deepEqual(order.paymentAttempts.map(a => a.status), ['FAILED', 'PAID']);
+});
+
+test('a status check moves a failed payment to FAILED', async () => {
+    const orderData = newOrder();
+    simulator.setNextOutcome('PENDING');
+    const created = await createPayment(orderData);
+
+    simulator.setOutcome(created.merchantTransactionId, 'FAILED');
+    const { order } = await checkPayment(orderData.orderID);
+    assert.equal(order.status, 'FAILED');
+    assert.deepEqual(order.paymentAttempts.map(a => [a.status, a.paymentCode]), [['FAILED', 'PAYMENT_ERROR']]);
+});
+
+test('only the customer who placed a failed order can retry it', async () => {
+    const original = newOrder({ name: 'Original Customer', shippingAddress: { city: 'Pune' } });
+    simulator.setNextOutcome('FAILED');
+    const firstAttempt = await createPayment(original);
+    await simulator.sendCallback(firstAttempt.merchantTransactionId);
+
+    const takeover = await createPayment({ ...original, name: 'Someone Else', phone: '9000000001', shippingAddress: { city: 'Elsewhere' } });
+    assert.equal(takeover.httpStatus, 409);
+    assert.equal(takeover.statusToken, undefined);
+
+    const { order } = await checkPayment(original.orderID);
+    assert.deepEqual([order.name, order.phone, order.shippingAddress], ['Original Customer', original.phone, { city: 'Pune' }]);
+    assert.equal(order.paymentAttempts.length, 1);
+});
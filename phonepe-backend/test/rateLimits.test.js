@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestEnvironment, SALT_KEY, SALT_INDEX } = require('./helpers');
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment({
+        RATE_LIMIT_WINDOW_MS: '60000',
+        RATE_LIMIT_PAYMENT_PER_IP: '8',
+        RATE_LIMIT_PAYMENT_PER_PHONE: '2',
+        RATE_LIMIT_STATUS_PER_IP: '8',
+        RATE_LIMIT_STATUS_PER_PHONE: '3'
+    });
+});
+
+after(() => env.stop());
+
+const createPending = async phone => {
+    const orderData = env.newOrder({ phone });
+    env.simulator.setNextOutcome('PENDING');
+    const created = await env.createPayment(orderData);
+    assert.equal(created.success, true);
+    return orderData.orderID;
+};
+
+test('status checks are limited per customer phone and per IP', async () => {
+    const first = await createPending('9000000021');
+    const second = await createPending('9000000021');
+    const other = await createPending('9000000022');
+    const status = orderId => fetch(`${env.serverUrl}/check-payment/${orderId}`);
+
+    // One customer's orders share a budget
+    for (const orderId of [first, first, second]) {
+        assert.equal((await status(orderId)).status, 200);
+    }
+    const limited = await status(second);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await limited.json()).code, 'RATE_LIMITED');
+
+    for (const orderId of [other, other, other, 'NO-SUCH-ORDER-1']) {
+        assert.equal((await status(orderId)).status, 200);
+    }
+    assert.equal((await status('NO-SUCH-ORDER-2')).status, 429);
+});
+
+test('payments are limited per phone, then per IP, before reaching PhonePe', async () => {
+    const payCalls = () => env.simulator.requests.filter(request => request.path === '/pg/v1/pay').length;
+
+    await createPending('9000000011');
+    await createPending('+91 9000000011');
+
+    const before = payCalls();
+    const limited = await env.createPayment(env.newOrder({ phone: '9000000011' }));
+    assert.equal(limited.httpStatus, 429);
+    assert.equal(limited.code, 'RATE_LIMITED');
+    assert.ok(limited.retryAfter > 0);
+    assert.equal(payCalls(), before);
+
+    // Other phones from the same IP get through until the IP limit
+    await createPending('9000000012');
+    await createPending('9000000013');
+    const overIp = await env.createPayment(env.newOrder({ phone: '9000000014' }));
+    assert.equal(overIp.httpStatus, 429);
+});
+
+test('payment redirects share the status limit; server-to-server callbacks do not', async () => {
+    // The status checks above used up this IP's budget
+    const redirect = await fetch(`${env.serverUrl}/payment-callback?merchantTransactionId=NO-SUCH-TXN`);
+    assert.equal(redirect.status, 429);
+    assert.equal((await redirect.json()).code, 'RATE_LIMITED');
+
+    // v1 posts the redirect as a form; without a signed payload it is a redirect too
+    const postedRedirect = await fetch(`${env.serverUrl}/payment-callback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ merchantTransactionId: 'NO-SUCH-TXN' })
+    });
+    assert.equal(postedRedirect.status, 429);
+
+    const response = Buffer.from(JSON.stringify({ code: 'PAYMENT_SUCCESS', data: { merchantTransactionId: 'NO-SUCH-TXN' } })).toString('base64');
+    const callback = await fetch(`${env.serverUrl}/payment-callback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-VERIFY': `${crypto.createHash('sha256').update(response + SALT_KEY).digest('hex')}###${SALT_INDEX}` },
+        body: JSON.stringify({ response })
+    });
+    assert.equal(callback.status, 200);
+});
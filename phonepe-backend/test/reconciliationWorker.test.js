@@ -0,0 +1,115 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../database');
+const { createOrderRepository } = require('../orderRepository');
+const { createReconciliationWorker } = require('../reconciliationWorker');
+
+const EXPIRY_MS = 10 * 60 * 1000;
+
+let orderRepository;
+
+before(() => {
+    const db = openDatabase(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reconciliation-')), 'orders.db'));
+    orderRepository = createOrderRepository(db);
+});
+
+// A pending order whose only attempt started `ageMs` ago
+function pendingOrder(orderID, ageMs) {
+    const createdAt = new Date(Date.now() - ageMs).toISOString();
+    return orderRepository.create({
+        orderID,
+        status: 'PAYMENT_PENDING',
+        createdAt,
+        paymentAttempts: [{ merchantTransactionId: `TX-${orderID}`, amount: 10000, status: 'PENDING', createdAt }]
+    });
+}
+
+// A worker against a scripted PhonePe: `codes` maps merchantTransactionId to the status code it answers
+function createWorker(codes, { expiryMs = EXPIRY_MS } = {}) {
+    const calls = [];
+    const changes = [];
+    const worker = createReconciliationWorker({
+        orderRepository,
+        expiryMs,
+        checkPaymentStatus: async (order, merchantTransactionId) => {
+            calls.push(merchantTransactionId);
+            return { success: codes[merchantTransactionId] !== 'PAYMENT_ERROR', code: codes[merchantTransactionId], data: { transactionId: `T-${merchantTransactionId}` } };
+        },
+        onStatusChange: order => changes.push([order.orderID, order.status])
+    });
+    return { worker, calls, changes };
+}
+
+const stateOf = orderId => orderRepository.getById(orderId).paymentAttempts[0].reconciliation;
+
+test('checks start 20 seconds in, follow the schedule and settle the order', async () => {
+    pendingOrder('R-NEW', 5 * 1000);
+    pendingOrder('R-PAID', 30 * 1000);
+    const codes = { 'TX-R-PAID': 'PAYMENT_PENDING' };
+    const { worker, calls, changes } = createWorker(codes);
+
+    await worker.runOnce();
+    assert.deepEqual(calls, ['TX-R-PAID']);
+    assert.equal(orderRepository.getById('R-PAID').status, 'PAYMENT_PENDING');
+
+    // 30 seconds in, the next check is 3 seconds later; nothing is due before then
+    const { checks, nextCheckAt } = stateOf('R-PAID');
+    assert.deepEqual(checks.map(check => [check.code, check.resultingStatus]), [['PAYMENT_PENDING', 'PENDING']]);
+    assert.ok(Math.abs(Date.parse(nextCheckAt) - Date.parse(checks[0].at) - 3000) < 100);
+    await worker.runOnce();
+    assert.equal(calls.length, 1);
+
+    const queued = worker.getQueue().find(entry => entry.orderID === 'R-PAID');
+    assert.equal(queued.checks, 1);
+    assert.equal(queued.nextCheckAt, nextCheckAt);
+
+    // Once due, PhonePe's success settles the order
+    orderRepository.update('R-PAID', order => {
+        order.paymentAttempts[0].reconciliation.nextCheckAt = new Date(Date.now() - 1).toISOString();
+    });
+    codes['TX-R-PAID'] = 'PAYMENT_SUCCESS';
+    await worker.runOnce();
+
+    const paid = orderRepository.getById('R-PAID');
+    assert.equal(paid.status, 'PAID');
+    assert.equal(paid.phonepeTransactionId, 'T-TX-R-PAID');
+    assert.deepEqual(stateOf('R-PAID').checks.map(check => check.resultingStatus), ['PENDING', 'PAID']);
+    assert.deepEqual(changes, [['R-PAID', 'PAID']]);
+});
+
+test('payments still pending when the window closes are marked EXPIRED', async () => {
+    pendingOrder('R-EXPIRED', EXPIRY_MS + 1000);
+    const { worker, changes } = createWorker({ 'TX-R-EXPIRED': 'PAYMENT_PENDING' });
+
+    await worker.runOnce();
+
+    assert.equal(orderRepository.getById('R-EXPIRED').status, 'EXPIRED');
+    assert.deepEqual(stateOf('R-EXPIRED').checks.map(check => [check.code, check.resultingStatus]), [['PAYMENT_PENDING', 'EXPIRED']]);
+    assert.deepEqual(changes, [['R-EXPIRED', 'EXPIRED']]);
+});
+
+test('a restarted worker resumes from the checks stored on the attempt', async () => {
+    pendingOrder('R-RESUMED', 60 * 1000);
+    const codes = { 'TX-R-RESUMED': 'PAYMENT_PENDING' };
+
+    const first = createWorker(codes);
+    await first.worker.runOnce();
+    assert.equal(stateOf('R-RESUMED').checks.length, 1);
+
+    // A new worker keeps the schedule: nothing is due until the stored next check
+    const restarted = createWorker(codes);
+    await restarted.worker.runOnce();
+    assert.deepEqual(restarted.calls, []);
+
+    orderRepository.update('R-RESUMED', order => {
+        order.paymentAttempts[0].reconciliation.nextCheckAt = new Date(Date.now() - 1).toISOString();
+    });
+    codes['TX-R-RESUMED'] = 'PAYMENT_ERROR';
+    await restarted.worker.runOnce();
+
+    assert.equal(orderRepository.getById('R-RESUMED').status, 'FAILED');
+    assert.deepEqual(stateOf('R-RESUMED').checks.map(check => check.code), ['PAYMENT_PENDING', 'PAYMENT_ERROR']);
+});
@@ -0,0 +1,158 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const vm = require('vm');
+const { pickLocale } = require('../i18n');
+const { openDatabase } = require('../database');
+const { createOrderRepository } = require('../orderRepository');
+const { startTestEnvironment, MERCHANT_ID, SALT_KEY, SALT_INDEX } = require('./helpers');
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment({
+        STORE_NAME: 'Aroma & Co',
+        STORE_LOGO_URL: 'https://cdn.example.com/logo.png',
+        STORE_PRIMARY_COLOR: '#7b1fa2',
+        SUPPORT_EMAIL: 'help@aroma.example.com',
+        SUPPORT_PHONE: '+91 80000 12345',
+        FRONTEND_URL: 'https://aroma.example.com'
+    });
+});
+
+after(() => env.stop());
+
+function redirectPage(merchantTransactionId, { query = '', headers = {} } = {}) {
+    return fetch(`${env.serverUrl}/payment-callback?merchantTransactionId=${merchantTransactionId}${query}`, { headers })
+        .then(response => response.text());
+}
+
+test('the locale comes from ?lang=, then Accept-Language, then English', () => {
+    const req = (query, acceptLanguage) => ({ query, get: () => acceptLanguage });
+
+    assert.equal(pickLocale(req({}, undefined)), 'en');
+    assert.equal(pickLocale(req({}, 'hi-IN,hi;q=0.9,en;q=0.8')), 'hi');
+    assert.equal(pickLocale(req({}, 'fr-FR, en;q=0.5, hi;q=0.7')), 'hi');
+    assert.equal(pickLocale(req({}, 'hi;q=0')), 'en');
+    assert.equal(pickLocale(req({ lang: 'hi' }, 'en')), 'hi');
+    assert.equal(pickLocale(req({ lang: 'xx' }, 'hi')), 'hi');
+});
+
+test('customer values are escaped on the result page', async () => {
+    const { merchantTransactionId } = await env.createPaidOrder({ name: '<img src=x onerror=alert(1)>' });
+
+    const page = await redirectPage(merchantTransactionId);
+    assert.match(page, /Payment Successful/);
+    assert.ok(!page.includes('<img src=x'));
+    assert.match(page, /&lt;img src=x onerror=alert\(1\)&gt;/);
+});
+
+test('pages carry the store branding and support contact', async () => {
+    const { merchantTransactionId } = await env.createPaidOrder();
+    const page = await redirectPage(merchantTransactionId);
+
+    assert.match(page, /<title>Payment Successful \| Aroma &amp; Co<\/title>/);
+    assert.match(page, /<img src="https:\/\/cdn\.example\.com\/logo\.png" alt="Aroma &amp; Co">/);
+    assert.match(page, /\.btn \{ background: #7b1fa2;/);
+    assert.match(page, /href="mailto:help@aroma\.example\.com"/);
+    assert.match(page, /href="tel:\+918000012345"/);
+    assert.match(page, /href="https:\/\/aroma\.example\.com\/cart\.html\?payment=success&orderId=/);
+});
+
+test('pages are in Hindi when the browser or ?lang= asks for it', async () => {
+    const { merchantTransactionId } = await env.createPaidOrder();
+
+    const byHeader = await redirectPage(merchantTransactionId, { headers: { 'Accept-Language': 'hi-IN,hi;q=0.9,en;q=0.8' } });
+    assert.match(byHeader, /<html lang="hi">/);
+    assert.match(byHeader, /भुगतान सफल!/);
+    assert.match(byHeader, /इनवॉइस डाउनलोड करें/);
+
+    const byQuery = await redirectPage(merchantTransactionId, { query: '&lang=en', headers: { 'Accept-Language': 'hi' } });
+    assert.match(byQuery, /<html lang="en">/);
+    assert.match(byQuery, /Payment Successful!/);
+
+    const notFound = await redirectPage('NO_SUCH_TXN', { query: '&lang=hi' });
+    assert.match(notFound, /ऑर्डर नहीं मिला/);
+});
+
+test('the pending page polls /check-payment and switches to success without a reload', async () => {
+    const orderData = env.newOrder({ name: 'Poll Customer' });
+    env.simulator.setNextOutcome('PENDING');
+    const { merchantTransactionId } = await env.createPayment(orderData);
+
+    const page = await redirectPage(merchantTransactionId);
+    assert.match(page, /Payment Pending/);
+    assert.match(page, /<section id="success" hidden>/);
+
+    // Run the page's script against a minimal DOM, with the real server behind fetch
+    const elements = {};
+    const element = key => (elements[key] = elements[key] || { hidden: false, textContent: '' });
+    const timers = [];
+    const document = {
+        getElementById: id => element(id),
+        querySelector: selector => element(selector.match(/data-field="(\w+)"/)[1])
+    };
+    const pageFetch = (url, options) => fetch(`${env.serverUrl}${url}`, options);
+    const script = page.match(/<script>([\s\S]*?)<\/script>/)[1];
+    vm.runInNewContext(script, { document, fetch: pageFetch, setTimeout: fn => timers.push(fn) });
+
+    // Fires the scheduled poll and waits until it has scheduled the next one or switched views
+    const tick = async () => {
+        timers.shift()();
+        const deadline = Date.now() + 5000;
+        while (timers.length === 0 && !elements.pending?.hidden && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    };
+
+    await tick();
+    assert.equal(elements.success?.hidden, undefined);
+    assert.equal(timers.length, 1);
+
+    env.simulator.setOutcome(merchantTransactionId, 'SUCCESS');
+    await tick();
+    assert.equal(elements.pending.hidden, true);
+    assert.equal(elements.success.hidden, false);
+    assert.equal(elements.name.textContent, 'Poll Customer');
+    assert.equal(elements.transactionId.textContent, env.simulator.getTransaction(merchantTransactionId).transactionId);
+    assert.equal(timers.length, 0);
+});
+
+test('a legacy order\'s redirect page carries no status token or invoice link', async () => {
+    // Stored the way orders.json imports are: no payment attempts, the orderID doubles as the transaction id
+    const orderID = `LEGACY${Date.now()}`;
+    const db = openDatabase(path.join(env.workDir, 'orders.db'));
+    try {
+        createOrderRepository(db).create({
+            orderID, status: 'PAYMENT_PENDING', name: 'Legacy Customer', phone: '9888888888', totalAmount: '100.00', createdAt: new Date().toISOString()
+        });
+    } finally {
+        db.close();
+    }
+
+    // PhonePe still has the payment pending
+    env.simulator.setNextOutcome('PENDING');
+    const request = Buffer.from(JSON.stringify({
+        merchantId: MERCHANT_ID, merchantTransactionId: orderID, amount: 10000, paymentInstrument: { type: 'PAY_PAGE' }
+    })).toString('base64');
+    const started = await fetch(`${env.phonepeBaseUrl}/pg/v1/pay`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-VERIFY': `${crypto.createHash('sha256').update(request + '/pg/v1/pay' + SALT_KEY).digest('hex')}###${SALT_INDEX}`,
+            'X-MERCHANT-ID': MERCHANT_ID
+        },
+        body: JSON.stringify({ request })
+    });
+    assert.equal((await started.json()).success, true);
+
+    const page = await redirectPage(orderID);
+    assert.match(page, /Payment Pending/);
+    assert.match(page, new RegExp(`/check-payment/${orderID}"`));
+    assert.doesNotMatch(page, /token=/);
+    assert.doesNotMatch(page, /\/invoice/);
+
+    const status = await (await fetch(`${env.serverUrl}/check-payment/${orderID}`)).json();
+    assert.deepEqual(status, { success: true, status: 'PAYMENT_PENDING', orderId: orderID });
+});
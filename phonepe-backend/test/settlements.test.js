@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment, ADMIN_API_TOKEN } = require('./helpers');
+const { readSettlementRows, parseCsv, toCsv } = require('../settlements');
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+const adminHeaders = { Authorization: `Bearer ${ADMIN_API_TOKEN}` };
+
+const upload = (csv, query = '') => fetch(`${env.serverUrl}/admin/settlements${query}`, {
+    method: 'POST',
+    headers: { ...adminHeaders, 'Content-Type': 'text/csv' },
+    body: csv
+});
+
+async function paidAttempt(overrides) {
+    const { orderData } = await env.createPaidOrder(overrides);
+    const { order } = await env.checkPayment(orderData.orderID);
+    return order.paymentAttempts.at(-1);
+}
+
+const rupees = paise => (paise / 100).toFixed(2);
+
+test('settlement rows are read by header name, with amounts in paise', () => {
+    const rows = readSettlementRows(
+        '﻿Merchant Order Id,Transaction ID,Transaction Type,Amount,Total Fees,CGST,SGST,Settlement Date\r\n' +
+        'TX1,T1,PAYMENT,"1,180.50",23.61,2.13,2.12,19-10-2026\r\n' +
+        'RF1,T2,REFUND,-100,0,0,0,19-10-2026\r\n'
+    );
+
+    assert.equal(rows.length, 2);
+    assert.deepEqual(
+        { id: rows[0].merchantTransactionId, amount: rows[0].amount, fee: rows[0].fee, tax: rows[0].tax, settledAt: rows[0].settledAt },
+        { id: 'TX1', amount: 118050, fee: 2361, tax: 425, settledAt: '2026-10-18T18:30:00.000Z' }
+    );
+    assert.equal(rows[1].type, 'REFUND');
+    assert.equal(rows[1].amount, 10000);
+
+    assert.throws(() => readSettlementRows('Amount\n10\n'), /transaction id column/);
+    assert.deepEqual(parseCsv('a,"b ""c"", d"\n'), [['a', 'b "c", d']]);
+    assert.equal(toCsv([['=HYPERLINK("x")', '-12.50', '@SUM']]), '"\'=HYPERLINK(""x"")",-12.50,\'@SUM\r\n');
+});
+
+test('an uploaded report is reconciled against orders', async () => {
+    const matched = await paidAttempt();
+    const mismatched = await paidAttempt();
+    const byPhonePeId = await paidAttempt();
+    const unsettled = await paidAttempt();
+
+    const failedOrder = env.newOrder();
+    env.simulator.setNextOutcome('FAILED');
+    const failed = await env.createPayment(failedOrder);
+    await env.simulator.sendCallback(failed.merchantTransactionId);
+
+    const today = new Date(Date.now() + 5.5 * 3600 * 1000).toISOString().slice(0, 10);
+    const csv = [
+        'Merchant Transaction Id,Transaction Id,Status,Amount,MDR,GST,Net Amount,Transaction Date,Settlement Date,UTR',
+        `${matched.merchantTransactionId},${matched.phonepeTransactionId},SUCCESS,${rupees(matched.amount)},2.00,0.36,${rupees(matched.amount - 236)},${today},${today},UTR1`,
+        `${mismatched.merchantTransactionId},${mismatched.phonepeTransactionId},SUCCESS,1.00,0.02,0.00,0.98,${today},${today},UTR1`,
+        `,${byPhonePeId.phonepeTransactionId},SUCCESS,${rupees(byPhonePeId.amount)},1.00,0.18,${rupees(byPhonePeId.amount - 118)},${today},${today},UTR1`,
+        `${failed.merchantTransactionId},SIMFAILED1,SUCCESS,10.00,0.20,0.04,9.76,${today},${today},UTR1`,
+        `TXUNKNOWN123,SIMUNKNOWN1,SUCCESS,5.00,0.10,0.02,4.88,${today},${today},UTR1`
+    ].join('\n');
+
+    const response = await upload(csv, '?filename=settlement.csv');
+    assert.equal(response.status, 200);
+    const { report } = await response.json();
+
+    const issueOf = merchantTransactionId => report.entries.find(entry => entry.merchantTransactionId === merchantTransactionId)?.issue;
+    assert.equal(issueOf(matched.merchantTransactionId), 'MATCHED');
+    assert.equal(issueOf(mismatched.merchantTransactionId), 'AMOUNT_MISMATCH');
+    assert.equal(report.entries.find(entry => entry.phonepeTransactionId === byPhonePeId.phonepeTransactionId).issue, 'MATCHED');
+    assert.equal(issueOf(failed.merchantTransactionId), 'SETTLED_BUT_FAILED');
+    assert.equal(issueOf('TXUNKNOWN123'), 'UNKNOWN_TRANSACTION');
+    assert.equal(issueOf(unsettled.merchantTransactionId), 'PAID_NOT_SETTLED');
+
+    assert.equal(report.summary.rows, 5);
+    assert.equal(report.summary.totals.fees, 200 + 2 + 100 + 20 + 10);
+    assert.equal(report.summary.totals.tax, 36 + 18 + 4 + 2);
+
+    // Importing the same file again stores nothing new, and the settled orders stay settled
+    const again = (await (await upload(csv)).json()).report;
+    assert.equal(again.summary.duplicates, 5);
+    assert.equal(again.summary.stored, 0);
+
+    const list = await (await fetch(`${env.serverUrl}/admin/settlements`, { headers: adminHeaders })).json();
+    assert.deepEqual(list.imports.map(entry => entry.id), [again.id, report.id]);
+
+    const exported = await fetch(`${env.serverUrl}/admin/settlements/${report.id}?format=csv`, { headers: adminHeaders });
+    assert.match(exported.headers.get('content-type'), /text\/csv/);
+    const lines = (await exported.text()).trim().split('\r\n');
+    assert.equal(lines[0].split(',')[0], 'Issue');
+    assert.equal(lines.length, report.entries.length + 1);
+    assert.ok(lines.some(line => line.startsWith(`AMOUNT_MISMATCH,PAYMENT,${mismatched.merchantTransactionId}`)));
+});
+
+test('unreadable uploads and unknown imports are rejected', async () => {
+    const empty = await upload('Amount,Fee\n');
+    assert.equal(empty.status, 400);
+
+    const noIds = await (await upload('Amount,Fee\n10,1\n')).json();
+    assert.match(noIds.message, /transaction id column/);
+
+    const badDate = await (await upload('Transaction Id,Amount\nT1,10\n', '?from=19-10-2026')).json();
+    assert.equal(badDate.code, 'VALIDATION_ERROR');
+
+    const missing = await fetch(`${env.serverUrl}/admin/settlements/9999`, { headers: adminHeaders });
+    assert.equal(missing.status, 404);
+
+    const anonymous = await fetch(`${env.serverUrl}/admin/settlements`, { headers: { Accept: 'application/json' } });
+    assert.equal(anonymous.status, 401);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment, ADMIN_API_TOKEN } = require('./helpers');
+
+let env;
+
+before(async () => {
+    env = await startTestEnvironment({ FRONTEND_URL: 'https://shop.example.com/store' });
+});
+
+after(() => env.stop());
+
+const post = (path, body, headers = {}) => fetch(`${env.serverUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+test('invalid orders get a structured 400 naming every bad field', async () => {
+    const payCalls = () => env.simulator.requests.filter(request => request.path === '/pg/v1/pay').length;
+    const before = payCalls();
+
+    const created = await env.createPayment(env.newOrder({
+        orderID: '<b>ORDER</b>',
+        phone: '12345',
+        totalAmount: '1e3',
+        email: 'not-an-email'
+    }));
+
+    assert.equal(created.httpStatus, 400);
+    assert.equal(created.success, false);
+    assert.equal(created.code, 'VALIDATION_ERROR');
+    assert.deepEqual(created.errors.map(error => error.field).sort(), [
+        'orderData.email', 'orderData.orderID', 'orderData.phone', 'orderData.totalAmount'
+    ]);
+    assert.ok(created.errors.every(error => error.location === 'body' && error.message));
+    assert.equal(payCalls(), before);
+
+    const missing = await env.createPayment({ orderID: 'NOITEMS1' });
+    assert.deepEqual(missing.errors.map(error => error.field).sort(), ['orderData.items', 'orderData.name', 'orderData.phone']);
+
+    const noBody = await (await post('/create-payment', {})).json();
+    assert.deepEqual(noBody.errors.map(error => error.field), ['orderData']);
+});
+
+test('phone numbers are normalized and unknown fields are dropped', async () => {
+    const orderData = env.newOrder({ phone: '+91 98765-43210', totalAmount: 499, isAdmin: true });
+    const created = await env.createPayment(orderData);
+    assert.equal(created.success, true);
+
+    const { order } = await env.checkPayment(orderData.orderID);
+    assert.equal(order.phone, '9876543210');
+    assert.equal(order.isAdmin, undefined);
+});
+
+test('params, query and bodies of the other routes are checked too', async () => {
+    const status = await (await fetch(`${env.serverUrl}/check-payment/bad%20id%3Cx%3E`)).json();
+    assert.equal(status.code, 'VALIDATION_ERROR');
+    assert.deepEqual(status.errors, [{ location: 'params', field: 'orderId', message: 'Use 1-64 letters, digits, "-" or "_".' }]);
+
+    const preview = await (await post('/coupons/validate', { couponCode: 'TENOFF', items: 'TEST-OIL' })).json();
+    assert.deepEqual(preview.errors.map(error => error.field), ['items']);
+
+    const callback = await fetch(`${env.serverUrl}/payment-callback?merchantTransactionId=${encodeURIComponent('"><script>')}`);
+    assert.equal(callback.status, 400);
+
+    const refundCallback = await (await post('/refund-callback', { foo: 'bar' })).json();
+    assert.equal(refundCallback.code, 'VALIDATION_ERROR');
+
+    const { orderData } = await env.createPaidOrder();
+    const refund = await (await post(`/orders/${orderData.orderID}/refund`, { amount: -5 }, { Authorization: `Bearer ${ADMIN_API_TOKEN}` })).json();
+    assert.deepEqual(refund.errors.map(error => error.field), ['amount']);
+});
+
+test('CORS only allows the configured frontend origin', async () => {
+    const preflight = origin => fetch(`${env.serverUrl}/create-payment`, {
+        method: 'OPTIONS',
+        headers: { Origin: origin, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type' }
+    });
+
+    const allowed = await preflight('https://shop.example.com');
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://shop.example.com');
+
+    const other = await preflight('https://evil.example.com');
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
@@ -0,0 +1,184 @@
+const { z } = require('zod');
+
+/**
+ * Request schemas for the routes in server.js, and the middleware that
+ * applies them:
+ *
+ *   app.post('/create-payment', validate({ body: schemas.createPayment }), handler)
+ *
+ * Each of body, query and params is parsed with its schema and replaced by
+ * the result, so handlers see trimmed strings, normalized phone numbers and
+ * no unknown fields. Anything that does not parse is answered with
+ *
+ *   400 { success: false, code: 'VALIDATION_ERROR', message, errors: [{ location, field, message }] }
+ *
+ * Business rules (known SKUs, coupon limits, refundable balance) stay with
+ * the code that owns them; schemas only check shape and format.
+ */
+
+// Order and transaction ids end up in URLs, logs and PhonePe requests
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Indian mobile number, optionally prefixed with +91 / 91 / 0
+const PHONE_PATTERN = /^(?:\+?91|0)?[6-9]\d{9}$/;
+// Rupees with at most two decimals
+const AMOUNT_PATTERN = /^\d{1,7}(\.\d{1,2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const id = z.string().regex(ID_PATTERN, 'Use 1-64 letters, digits, "-" or "_".');
+
+const phone = z.string()
+    .transform(value => value.replace(/[\s-]/g, ''))
+    .refine(value => PHONE_PATTERN.test(value), 'Enter a valid 10-digit Indian mobile number.')
+    .transform(value => value.slice(-10));
+
+const amount = z.union([z.number(), z.string()])
+    .refine(value => AMOUNT_PATTERN.test(String(value)) && Number(value) > 0, 'Enter a positive amount in rupees with at most 2 decimals.');
+
+const text = max => z.string().trim().max(max);
+
+const cartItems = z.array(z.object({
+    sku: z.string().trim().min(1).max(64),
+    quantity: z.number()
+})).min(1, 'The cart is empty.').max(50);
+
+const shippingAddress = z.object({
+    line1: text(200).optional(),
+    line2: text(200).optional(),
+    city: text(100).optional(),
+    state: text(100).optional(),
+    pincode: z.string().regex(/^\d{6}$/, 'Enter a 6-digit PIN code.').optional()
+});
+
+const schemas = {
+    createPayment: z.object({
+        orderData: z.object({
+            orderID: id,
+            items: cartItems,
+            phone,
+            name: text(100).min(1, 'Enter your name.'),
+            email: text(254).email('Enter a valid email address.').optional(),
+            shippingAddress: shippingAddress.optional(),
+            state: text(100).optional(),
+            totalAmount: amount.optional(),
+            couponCode: text(32).optional(),
+            storefront: id.optional(),
+            // The payment mode's own rules are checked by paymentModes.js
+            paymentMode: text(20).optional(),
+            targetApp: text(100).optional(),
+            deviceOS: text(10).optional(),
+            vpa: text(300).optional()
+        })
+    }),
+
+    couponPreview: z.object({
+        couponCode: text(32).min(1),
+        items: cartItems,
+        phone: phone.optional()
+    }),
+
+    orderParams: z.object({ orderId: id }),
+
+    refundParams: z.object({ orderId: id, refundId: id }),
+
+    refund: z.object({
+        amount: amount.optional(),
+        reason: text(500).optional()
+    }),
+
+    invoiceQuery: z.object({ token: text(512).optional() }),
+
+    // Order status token from /create-payment (see customerAuth.orderToken)
+    orderTokenQuery: z.object({ token: text(512).optional() }),
+
+    otpRequest: z.object({ phone }),
+
+    otpVerify: z.object({
+        phone,
+        otp: z.string().trim().regex(/^\d{6}$/, 'Enter the 6-digit code.')
+    }),
+
+    customerOrdersQuery: z.object({
+        limit: z.coerce.number().int().min(1).max(50).optional(),
+        offset: z.coerce.number().int().min(0).optional()
+    }),
+
+    // Browser redirect from PhonePe; the S2S body is checked by its signature instead
+    paymentCallbackQuery: z.object({
+        merchantTransactionId: id.optional(),
+        txnId: id.optional(),
+        lang: text(35).optional()
+    }),
+
+    // v1 { response: base64 } or v2 { event, payload }
+    refundCallback: z.union([
+        z.object({ response: z.string().min(1) }),
+        z.object({ event: z.string().min(1), payload: z.object({}).passthrough() })
+    ]),
+
+    outboxQuery: z.object({ status: z.enum(['pending', 'delivered', 'dead']).optional() }),
+
+    outboxJobParams: z.object({ jobId: z.coerce.number().int().positive() }),
+
+    settlementImportQuery: z.object({
+        filename: text(200).optional(),
+        from: z.string().regex(DATE_PATTERN, 'Use YYYY-MM-DD.').optional(),
+        to: z.string().regex(DATE_PATTERN, 'Use YYYY-MM-DD.').optional(),
+        format: z.enum(['json', 'csv']).optional()
+    }),
+
+    stockParams: z.object({ sku: id }),
+
+    // Exactly one of onHand (the new count) or delta (a change to it)
+    stockAdjustment: z.object({
+        onHand: z.number().int().min(0).optional(),
+        delta: z.number().int().optional(),
+        reason: text(200).optional()
+    }).refine(body => (body.onHand === undefined) !== (body.delta === undefined), {
+        message: 'Send either onHand or delta.',
+        path: ['onHand']
+    }),
+
+    settlementParams: z.object({ importId: z.coerce.number().int().positive() }),
+
+    settlementQuery: z.object({ format: z.enum(['json', 'csv']).optional() })
+};
+
+function toErrors(location, error) {
+    return error.issues.map(issue => ({
+        location,
+        field: issue.path.join('.') || location,
+        message: issue.message
+    }));
+}
+
+/**
+ * Middleware that checks `body`, `query` and `params` against the given schemas.
+ */
+function validate(shape) {
+    return (req, res, next) => {
+        const errors = [];
+
+        for (const location of ['params', 'query', 'body']) {
+            if (!shape[location]) continue;
+
+            const result = shape[location].safeParse(req[location] ?? {});
+            if (result.success) {
+                req[location] = result.data;
+            } else {
+                errors.push(...toErrors(location, result.error));
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                code: 'VALIDATION_ERROR',
+                message: `Invalid ${errors[0].field}: ${errors[0].message}`,
+                errors
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { schemas, validate };